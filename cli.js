@@ -0,0 +1,268 @@
+#!/usr/bin/env node
+
+/**
+ * =====================================================================================================================
+ * @fileOverview bfu
+ *
+ * Command line tool that reads one or more JSON or NDJSON files (or stdin) and writes a self-contained HTML page in
+ * which each document is displayed as a collapsible table
+ *
+ * Author : Chris Whealy (www.whealy.com)
+ * =====================================================================================================================
+ **/
+
+var fs   = require("fs")
+var http = require("http")
+var path = require("path")
+var bfu  = require("./lib.js")
+
+var usage = `Usage: bfu [options] [file ...]
+
+Reads each JSON or NDJSON file (or stdin if no files are given) and writes an HTML page in which each JSON document is
+displayed as a table.  A JSON file becomes one section of the page, and an NDJSON file becomes one section per line.
+Files ending in .ndjson or .jsonl are read as NDJSON, and other input is read as NDJSON only if it is not valid JSON.
+
+Options:
+  -d, --depth <n>      Depth to which nested objects are displayed (default 3)
+  -t, --title <text>   Title of the page (default: the file name)
+  -s, --sort <order>   Order of object properties: "alpha" (default) or "none" to keep the order in the input
+      --ndjson         Read every input as NDJSON
+  -o, --output <file>  Write the page to this file instead of stdout
+      --serve          Serve the page on http://127.0.0.1 instead of writing it to stdout
+  -p, --port <n>       The port used by --serve (default 8080)
+  -h, --help           Display this help
+  -v, --version        Display the version number
+`
+
+// *********************************************************************************************************************
+// Errors
+// Usage errors exit with status 2, errors reading or parsing the input exit with status 1
+var fail =
+  (msg, status = 1) => {
+    process.stderr.write(`bfu: ${msg}\n`)
+    process.exit(status)
+  }
+
+var usage_error = msg => fail(`${msg}\nTry 'bfu --help' for more information.`, 2)
+
+// *********************************************************************************************************************
+// Command line arguments
+// Each option is described by [short name, long name, takes a value]
+var cli_options = [
+  ["-d", "--depth",   true]
+, ["-t", "--title",   true]
+, ["-s", "--sort",    true]
+, [null, "--ndjson",  false]
+, ["-o", "--output",  true]
+, [null, "--serve",   false]
+, ["-p", "--port",    true]
+, ["-h", "--help",    false]
+, ["-v", "--version", false]
+]
+
+var find_option = flag => cli_options.find(([short_name, long_name]) => flag === short_name || flag === long_name)
+
+// Returns an object holding the value of each option given (keyed by its long name without the dashes) and the list of
+// file names.  Values may follow their option either as the next argument or after an "=" sign
+var parse_args =
+  argv => {
+    var args  = { files : [] }
+    var rest  = argv.slice()
+
+    while (rest.length > 0) {
+      var arg = rest.shift()
+
+      if (arg === "--") {
+        args.files = args.files.concat(rest)
+        break
+      }
+
+      if (arg === "-" || !arg.startsWith("-")) {
+        args.files.push(arg)
+        continue
+      }
+
+      var [flag, inline_value] = arg.includes("=") ? [arg.slice(0, arg.indexOf("=")), arg.slice(arg.indexOf("=") + 1)] : [arg]
+      var option = find_option(flag)
+
+      if (!option) {
+        usage_error(`Unknown option '${flag}'`)
+      }
+
+      var [, name, has_value] = option
+
+      if (has_value) {
+        var value = inline_value !== undefined ? inline_value : rest.shift()
+
+        if (value === undefined) {
+          usage_error(`Option '${name}' needs a value`)
+        }
+
+        args[name.slice(2)] = value
+      }
+      else {
+        args[name.slice(2)] = true
+      }
+    }
+
+    return args
+  }
+
+var sort_orders = { alpha : true, none : false }
+
+// Transform the parsed arguments into rendering options
+var render_options =
+  args => {
+    var opts = {}
+
+    if (args.depth !== undefined) {
+      opts.depth_limit = Number(args.depth)
+
+      if (!Number.isInteger(opts.depth_limit) || opts.depth_limit < 1) {
+        usage_error(`The depth must be an integer greater than or equal to 1, not '${args.depth}'`)
+      }
+    }
+
+    if (args.sort !== undefined) {
+      if (!(args.sort in sort_orders)) {
+        usage_error(`The sort order must be "alpha" or "none", not '${args.sort}'`)
+      }
+
+      opts.sort_keys = sort_orders[args.sort]
+    }
+
+    // JSON cannot contain functions, so suppressing them would only add a notice to every title
+    opts.suppress_fns = false
+    return opts
+  }
+
+// *********************************************************************************************************************
+// Input
+var read_stdin =
+  () =>
+    new Promise((resolve, reject) => {
+      var chunks = []
+
+      process.stdin
+        .on("data", chunk => chunks.push(chunk))
+        .on("end", () => resolve(Buffer.concat(chunks).toString("utf8")))
+        .on("error", reject)
+    })
+
+var read_file =
+  file_name =>
+    file_name === "-"
+    ? read_stdin()
+    : fs.promises.readFile(file_name, "utf8").catch(err => fail(`Cannot read '${file_name}': ${err.message}`))
+
+var isNdjsonFile = file_name => /\.(ndjson|jsonl)$/i.test(file_name)
+
+// Each non-blank line of NDJSON is a separate document titled with the source's name and its line number
+var parse_ndjson =
+  (name, text) =>
+    text
+      .split(/\r?\n/)
+      .map((line, idx) => ({ line : line, title : `${name}:${idx + 1}` }))
+      .filter(({ line }) => line.trim().length > 0)
+      .map(({ line, title }) => {
+        try {
+          return { title : title, value : JSON.parse(line) }
+        }
+        catch (err) {
+          fail(`${title}: ${err.message}`)
+        }
+      })
+
+// A source that is not valid JSON is read as NDJSON if it has more than one non-blank line, otherwise the JSON error is
+// reported
+var parse_source =
+  (name, text, ndjson) => {
+    if (ndjson || isNdjsonFile(name)) {
+      return parse_ndjson(name, text)
+    }
+
+    try {
+      return [{ title : name, value : JSON.parse(text) }]
+    }
+    catch (err) {
+      return text.split(/\r?\n/).filter(line => line.trim().length > 0).length > 1
+        ? parse_ndjson(name, text)
+        : fail(`${name}: ${err.message}`)
+    }
+  }
+
+var read_sources =
+  args =>
+    Promise.all(
+      (args.files.length === 0 ? ["-"] : args.files)
+        .map(file_name =>
+          read_file(file_name)
+            .then(text => parse_source(file_name === "-" ? "stdin" : path.basename(file_name), text, args.ndjson))
+        )
+    )
+    .then(sections => sections.reduce((acc, section) => acc.concat(section), []))
+
+// *********************************************************************************************************************
+// Output
+var make_page =
+  (title, tvArray, opts) =>
+    bfu.html_page(title
+    , bfu.fragment(bfu.h("h1", null, title), bfu.raw_html(bfu.show_objects(tvArray, opts)))
+    )
+
+var serve =
+  (page, port) => {
+    var server = http.createServer((req, res) => {
+      if (req.url === "/" && (req.method === "GET" || req.method === "HEAD")) {
+        res.writeHead(200, { "Content-Type" : "text/html; charset=utf-8", "Content-Length" : Buffer.byteLength(page) })
+        res.end(req.method === "HEAD" ? undefined : page)
+      }
+      else {
+        res.writeHead(404, { "Content-Type" : "text/plain; charset=utf-8" })
+        res.end("Not found")
+      }
+    })
+
+    server.on("error", err => fail(`Cannot serve on port ${port}: ${err.message}`))
+    server.listen(port, "127.0.0.1", () =>
+      process.stderr.write(`Serving on http://127.0.0.1:${server.address().port}/  (press Ctrl+C to stop)\n`)
+    )
+  }
+
+// *********************************************************************************************************************
+// Main
+var main =
+  async argv => {
+    var args = parse_args(argv)
+
+    if (args.help)    { return process.stdout.write(usage) }
+    if (args.version) { return process.stdout.write(`${bfu.package_version}\n`) }
+
+    var opts = render_options(args)
+    var port = args.port === undefined ? 8080 : Number(args.port)
+
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+      usage_error(`The port must be an integer between 0 and 65535, not '${args.port}'`)
+    }
+
+    if (args.files.length === 0 && process.stdin.isTTY) {
+      usage_error("No input files given and stdin is a terminal")
+    }
+
+    var tvArray = await read_sources(args)
+    var title   = args.title || (args.files.length === 1 && args.files[0] !== "-" ? path.basename(args.files[0]) : args.files.length <= 1 ? "stdin" : "bfu")
+    var page    = make_page(title, tvArray, opts)
+
+    if (args.output) {
+      fs.writeFileSync(args.output, page)
+    }
+
+    if (args.serve) {
+      serve(page, port)
+    }
+    else if (!args.output) {
+      process.stdout.write(page)
+    }
+  }
+
+main(process.argv.slice(2)).catch(err => fail(err.message))
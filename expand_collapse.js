@@ -1,11 +1,147 @@
+/* Hiding the control that has the focus would move the focus to the page's body, so the focus is moved to the button
+   of the control that replaces it */
+var swap_arrows = (hide, show) => {
+  var had_focus = hide.contains(document.activeElement);
+
+  show.hidden = false;
+  hide.hidden = true;
+
+  if (had_focus) {
+    show.querySelector("button").focus();
+  }
+};
+
 var expand = elName => {
-  document.getElementById(`${elName}-content`).style.display = "block";
-  document.getElementById(`${elName}-arrow-down`).style.display = "block";
-  document.getElementById(`${elName}-arrow-right`).style.display = "none";
+  /* Tables that have not yet been generated are only present when lazy rendering is used */
+  if (typeof build_lazy_content === "function") {
+    build_lazy_content(elName);
+  }
+
+  document.getElementById(`${elName}-content`).hidden = false;
+  swap_arrows(document.getElementById(`${elName}-arrow-right`), document.getElementById(`${elName}-arrow-down`));
+
+  /* The expanded state is only saved when the persist option is used */
+  if (typeof save_expanded_state === "function") {
+    save_expanded_state(elName);
+  }
 };
 
 var collapse = elName => {
-  document.getElementById(`${elName}-content`).style.display = "none";
-  document.getElementById(`${elName}-arrow-down`).style.display = "none";
-  document.getElementById(`${elName}-arrow-right`).style.display = "block";
+  document.getElementById(`${elName}-content`).hidden = true;
+  swap_arrows(document.getElementById(`${elName}-arrow-down`), document.getElementById(`${elName}-arrow-right`));
+
+  if (typeof save_expanded_state === "function") {
+    save_expanded_state(elName);
+  }
+};
+
+/* Expand each of the named elements in turn, starting with the outermost table.  Tables are expanded from the outside
+   in because in lazy mode, an inner table does not exist until its parent has been expanded */
+var reveal = (...elNames) => elNames.forEach(elName => {
+  var content = document.getElementById(`${elName}-content`);
+
+  if (content && content.hidden) {
+    expand(elName);
+  }
+});
+
+/* Helper functions used by the optional search and toolbar functions.  Only the rows inside 'root' are considered */
+var content_name = contentDiv => contentDiv.id.slice(0, -"-content".length);
+
+var is_data_row = row =>
+  row.firstElementChild !== null && row.firstElementChild.tagName === "TD" && !row.classList.contains("bfu-more");
+
+/* The row containing the table in which this row lives */
+var parent_row = (row, root) => {
+  var parentRow = row.parentElement.closest("tr");
+  return parentRow && root.contains(parentRow) ? parentRow : null;
+};
+
+/* The property names leading from the outermost table to this row.  If a row lives in a table nested inside a cell of
+   a records table, the cell's column name is also part of the path */
+var key_path = (row, root) => {
+  var keys = [];
+
+  for (var r = row, child = null; r; child = r, r = parent_row(r, root)) {
+    var cell = child && child.parentElement.closest("td");
+
+    if (cell && cell.dataset.bfuColumn !== undefined) {
+      keys.unshift(cell.dataset.bfuColumn);
+    }
+
+    keys.unshift(r.firstElementChild.textContent);
+  }
+
+  return keys;
+};
+
+/* Tables that were not generated on the server (lazy or max_rows options) must be generated before all the rows can
+   be examined */
+var build_all_content = root => {
+  var pending = true;
+
+  while (pending) {
+    var moreButtons = typeof show_more_rows === "function" ? [...root.querySelectorAll("tr.bfu-more button:last-child")] : [];
+    var lazyDivs = typeof build_lazy_content === "function" ? [...root.querySelectorAll("div[id$='-content'] > script.bfu-lazy")] : [];
+
+    moreButtons.forEach(button => show_more_rows(button, true));
+    lazyDivs.forEach(script => build_lazy_content(content_name(script.parentElement)));
+    pending = moreButtons.length + lazyDivs.length > 0;
+  }
+};
+
+var expand_ancestors = (el, root) => {
+  for (var node = el.parentElement; node && node !== root; node = node.parentElement) {
+    if (node.id && node.id.endsWith("-content") && node.hidden) {
+      expand(content_name(node));
+    }
+  }
+};
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+   Event delegation
+   The generated HTML contains no inline event handlers (which a Content-Security-Policy would block).  Instead, each
+   control names its action in a data-bfu-action attribute, and a single listener for each type of event calls the
+   function for that action.  The functions of the optional features live in their own scripts, but their controls are
+   only generated when those scripts are included */
+var arrow_name = arrow => arrow.id.replace(/-arrow-(right|down)$/, "");
+
+var bfu_actions = {
+  click : {
+    "expand"          : el => expand(arrow_name(el))
+  , "collapse"        : el => collapse(arrow_name(el))
+  , "reveal"          : el => reveal(...el.dataset.bfuReveal.split(" "))
+  , "sort"            : el => sort_records(el)
+  , "more"            : el => show_more_rows(el, false)
+  , "all"             : el => show_more_rows(el, true)
+  , "search-previous" : el => search_step(el, -1)
+  , "search-next"     : el => search_step(el, 1)
+  , "expand-all"      : el => expand_all(el)
+  , "collapse-all"    : el => collapse_all(el)
+  , "expand-to-level" : el => expand_to_level(el)
+  }
+, change : {
+    "columns" : el => toggle_record_column(el)
+  }
+, input : {
+    "search" : el => search_rows(el)
+  }
+, keydown : {
+    "search" : (el, event) => search_keydown(event, el)
+  }
 };
+
+var dispatch_action = event => {
+  var el = event.target.closest && event.target.closest("[data-bfu-action]");
+  var action = el && bfu_actions[event.type][el.dataset.bfuAction];
+
+  if (action) {
+    action(el, event);
+  }
+};
+
+/* This script is included once per output block, so only add the listeners the first time it runs */
+if (!window.bfu_actions_ready) {
+  window.bfu_actions_ready = true;
+  Object.keys(bfu_actions).forEach(type => document.addEventListener(type, dispatch_action));
+}
@@ -0,0 +1,97 @@
+/* Generate the tables that the server passed to the client as JSON (see "Lazy rendering" in lib.js).
+   The HTML generated here must be identical to the HTML the server would otherwise have generated */
+var lazy_json = data =>
+  JSON.stringify(data).replace(/</g, "\\u003c").replace(/\u2028/g, "\\u2028").replace(/\u2029/g, "\\u2029");
+
+var lazy_data_script = data => `<script type='application/json' class='bfu-lazy'>${lazy_json(data)}<\/script>`;
+
+var lazy_arrow = (table, direction, action, hidden, typeHtml) =>
+  `<div class='bfu-arrow-${direction}' id='${table.i}-arrow-${direction}' data-bfu-action='${action}' ${hidden ? "hidden" : ""}>` +
+  `${typeHtml}<button type='button' class='bfu-toggle' aria-expanded='${direction === "down"}' aria-controls='${table.i}-content' ` +
+  `aria-label='${direction === "down" ? "Collapse" : "Expand"} ${table.l}'></button></div>`;
+
+var lazy_sortable_th = html => `<th class='bfu-th bfu-sortable' data-bfu-action='sort'>${html}</th>`;
+
+var lazy_header_row = table =>
+  table.c
+  ? `<tr>${[table.h].concat(table.c).map(lazy_sortable_th).join("")}</tr>`
+  : table.k
+    ? `<tr><th class='bfu-th'>${table.h}</th></tr>`
+    : `<tr><th class='bfu-th'>${table.h}</th><th class='bfu-th'>Type</th><th class='bfu-th'>Value (depth=${table.d})</th></tr>`;
+
+var lazy_column_selector = table =>
+  table.c
+  ? `<div class='bfu-columns'>${["Columns:"].concat(table.c.map((column, idx) =>
+      `<label><input type='checkbox' checked data-column='${idx + 1}' data-bfu-action='columns'> ${column}</label>`
+    )).join(" ")}</div>`
+  : "";
+
+var lazy_collapsible_div = table =>
+  `<div id="${table.i}-content" hidden>${lazy_data_script(table)}</div>`;
+
+/* A cell of a records table is either HTML, or an array [column, type, table] if the cell contains a nested table */
+var lazy_record_cell = cell =>
+  typeof cell === "string"
+  ? `<td class='bfu-td'>${cell}</td>`
+  : `<td class='bfu-td' data-bfu-column="${cell[0]}">` +
+    `${lazy_arrow(cell[2], "right", "expand", false, cell[1])}${lazy_arrow(cell[2], "down", "collapse", true, cell[1])}` +
+    `${lazy_collapsible_div(cell[2])}</td>`;
+
+var lazy_record_row = row =>
+  `<tr class="bfu-record"${row.i ? ` id="${row.i}"` : ""}><td class='bfu-td'>${row.k}</td>${row.c.map(lazy_record_cell).join("")}</tr>`;
+
+var lazy_row = row =>
+  !Array.isArray(row)
+  ? lazy_record_row(row)
+  : row.length === 1
+  ? `<tr><td class='bfu-td'>${row[0]}</td></tr>`
+  : typeof row[2] === "string"
+    ? `<tr><td class='bfu-td'>${row[0]}</td><td class='bfu-td'>${row[1]}</td><td class='bfu-td'>${row[2]}</td></tr>`
+    : `<tr><td class='bfu-td'>${row[0]}</td>` +
+      `<td class='bfu-td'>${lazy_arrow(row[2], "right", "expand", false, row[1])}${lazy_arrow(row[2], "down", "collapse", true, row[1])}</td>` +
+      `<td class='bfu-td'>${lazy_collapsible_div(row[2])}</td></tr>`;
+
+var lazy_more_row = (rows, page, colspan) =>
+  `<tr class='bfu-more'><td class='bfu-td' colspan='${colspan}'>${lazy_data_script(rows)}` +
+  `<button type='button' data-page='${page}' data-bfu-action='more'>Show ${Math.min(page, rows.length)} more</button>` +
+  `<button type='button' data-bfu-action='all'>Show all ${rows.length} remaining</button></td></tr>`;
+
+var lazy_omitted_row = (count, colspan) =>
+  `<tr class='bfu-more bfu-omitted'><td class='bfu-td' colspan='${colspan}'>… ${count} more not included</td></tr>`;
+
+var lazy_table = table =>
+  `${lazy_column_selector(table)}<table class='bfu-table' role='grid'>${lazy_header_row(table)}${table.r.map(lazy_row).join("")}` +
+  `${table.m ? lazy_more_row(table.m, table.p, table.c ? table.c.length + 1 : 3) : ""}` +
+  `${table.o ? lazy_omitted_row(table.o, table.c ? table.c.length + 1 : 3) : ""}</table>`;
+
+/* Called by expand() to generate a table the first time it is displayed */
+var build_lazy_content = elName => {
+  var contentDiv = document.getElementById(`${elName}-content`);
+  var data = contentDiv && contentDiv.querySelector(":scope > script.bfu-lazy");
+
+  if (data) {
+    contentDiv.innerHTML = lazy_table(JSON.parse(data.textContent));
+  }
+};
+
+/* Generate the next page of rows (or all the remaining rows) in place of the row containing the buttons */
+var show_more_rows = (button, showAll) => {
+  var moreRow = button.closest("tr");
+  var rows = JSON.parse(moreRow.querySelector("script.bfu-lazy").textContent);
+  var page = Number(moreRow.querySelector("[data-page]").dataset.page);
+  var shown = rows.splice(0, showAll ? rows.length : page);
+
+  moreRow.insertAdjacentHTML("beforebegin", shown.map(lazy_row).join(""));
+
+  /* Rows added to a records table must respect the columns the user has hidden */
+  if (typeof apply_record_columns === "function") {
+    apply_record_columns(moreRow.closest("table"));
+  }
+
+  if (rows.length > 0) {
+    moreRow.outerHTML = lazy_more_row(rows, page, moreRow.firstElementChild.colSpan);
+  }
+  else {
+    moreRow.remove();
+  }
+};
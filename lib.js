@@ -10,52 +10,114 @@
  * Nested objects are transformed into nested tables, but only down to a predetermined depth (default = 3)
  * Once the recursion limit is hit, objects and arrays are displayed as "{...}" or "[...]" respectively
  * 
+ * The same object can also be displayed as a plain text tree, as Markdown tables or as JSON annotated with types
+ * 
  * This node app is designed to run inside a "Function as a Service" environment - I.E. a stateless K8S container that
  * disappears as soon as the response has been returned to the client.  Therefore, all data needed by the client is
- * delivered in a single HTTP response.  Hence the need for Base64 encoded image src data to be added dynamically to IMG
- * elements by client-side coding
+ * delivered in a single HTTP response.  Hence the style sheet and client-side coding are embedded in the generated
+ * HTML, and the expand/collapse icons are drawn using CSS
  * 
  * Author : Chris Whealy (www.whealy.com)
  * =====================================================================================================================
  **/
 
-var fs = require("fs")
+var fs     = require("fs")
+var util   = require("util")
+var crypto = require("crypto")
+
+var { Readable, Stream } = require("stream")
 
 // *********************************************************************************************************************
 // Discover my own version number
 var { version } = require("./package.json")
 
 // *********************************************************************************************************************
-// Limit the recursion depth used by render_value()
-var depth_limit = 3
-
-var get_depth_limit = ()  => depth_limit
-var set_depth_limit = lim => depth_limit = (isNumeric(lim) && lim >= 1) ? lim : depth_limit
+// Rendering options
+// These are never held in module-level variables.  Instead, each renderer created by createRenderer() holds its own
+// copy, and each call to show_object/show_objects can override them for the duration of that call
+// * id_prefix    : The prefix of every element id generated by one call to show_object/show_objects.  Defaults to a
+//                  random value, so only set this if the ids need to be predictable
+// * depth_limit  : Limit the depth to which nested objects are traversed
+// * suppress_fns : Suppress the display of functions in the output table
+// * sort_keys    : true  = Present object properties in alphabetic order
+//                  false = Present object properties in the order returned by Object.keys()
+//                  A comparator function = Present object properties in the order defined by that function
+// * max_rows     : The maximum number of rows initially displayed in each table, or null for no limit.  The remaining
+//                  rows are displayed on request
+// * max_rows_sent: The maximum number of rows of each table that are included in the output at all, or null for no
+//                  limit.  max_rows only limits the rows that are displayed, whereas this limits the size of the output
+// * lazy         : Generate nested tables on the client only when they are first expanded
+// * search       : Add a search box that filters the displayed rows by key path or value text
+// * toolbar      : Add expand all/collapse all/expand to level buttons and keyboard navigation to each object's table
+// * persist      : Remember which tables are expanded.  Either "hash" (in the URL hash), "local" (in localStorage) or
+//                  null (not remembered)
+// * color        : Use ANSI escape codes to colour the output of show_text().  Off by default, since text output mostly
+//                  ends up in log files
+// * records      : When an array of objects is displayed as a single table with one column per key.  Either "auto" (when
+//                  the objects all have the same keys), true (whenever all the elements are objects) or false (never)
+// * redact       : An array of redaction rules (see "Redaction" below), or null for no redaction.  The NodeJS convenience
+//                  functions use the default_redactions preset when this option is null
+// * time_zone    : The time zone in which Date values are displayed: either an IANA time zone name, a fixed offset from
+//                  UTC in minutes, or null (ISO format in UTC)
+// * date_format  : The format in which Date values are displayed (see "Date/Time functions" below), or null
+// * nonce        : A Content-Security-Policy nonce added to the generated SCRIPT and STYLE elements, or null
+// * inspect      : Show the real shape of objects: symbol-keyed and non-enumerable properties, accessors (without
+//                  invoking them), property descriptors and the prototype chain (see "Inspect mode" below)
+// * await_timeout: The number of milliseconds the async entry points wait for Promises and async iterables to produce
+//                  their values (see "Asynchronous values" below)
+// * await_limit  : The maximum number of items the async entry points read from each async iterable
+var default_options = {
+  id_prefix    : null
+, depth_limit  : 3
+, suppress_fns : true
+, sort_keys    : true
+, max_rows     : null
+, max_rows_sent: null
+, lazy         : false
+, search       : false
+, toolbar      : false
+, persist      : null
+, color        : false
+, records      : "auto"
+, redact       : null
+, time_zone    : null
+, date_format  : null
+, nonce        : null
+, inspect      : false
+, await_timeout: 1000
+, await_limit  : 100
+}
 
-// *********************************************************************************************************************
-// Suppress the display of functions in the output table
-var suppress_fns = true
+var isValidDepthLimit = lim => isNumeric(lim) && lim >= 1
+var isValidMaxRows    = max => isNull(max) || (Number.isInteger(max) && max >= 1)
+var isValidPersist    = mode => isNull(mode) || mode === "hash" || mode === "local"
+var isValidRecords    = mode => mode === "auto" || mode === true || mode === false
+var isValidRedact     = rules => isNull(rules) || (isArray(rules) && rules.every(isRedactionRule))
+var isValidTimeZone   = zone => isNull(zone) || isNumber(zone) || isTimeZoneName(zone)
+var isValidDateFormat = format => isNull(format) || typeof format === "string"
+var isValidNonce      = nonce => isNull(nonce) || (typeof nonce === "string" && /^[A-Za-z0-9+\/_=-]+$/.test(nonce))
+var isValidTimeout    = ms => isNumber(ms) && ms >= 0
+var isValidItemLimit  = max => Number.isInteger(max) && max >= 0
 
-// *********************************************************************************************************************
-// The arrow icon names need to be available to coding that runs both on the server-side and the client-side
-var arrow_right_icon_name = "bfu-arrow-right-icon"
-var arrow_down_icon_name = "bfu-arrow-down-icon"
-
-// Rather than referencing some external URL, image source data is stored as Base64 encoded data that is dynamically
-// injected into each arrow icon
-var image_src_data = [
-  `var arrow_right_icon_name = "${arrow_right_icon_name}";`
-  , `var arrow_down_icon_name  = "${arrow_down_icon_name}";`
-  , ""
-  , `var arrow_right_src = "data:image/png;base64, ${fs.readFileSync(__dirname + "/arrow_right.b64.txt").toString()}";`
-  , `var arrow_down_src  = "data:image/png;base64, ${fs.readFileSync(__dirname + "/arrow_down.b64.txt").toString()}";`
-  , ""
-  , "var set_image_src = (divObj, objSrc) => divObj.src = objSrc;"
-  , ""
-  , "/* Dynamically add the Base64 encoded source for the arrow icons */"
-  , "[...document.getElementsByName(\`\${arrow_right_icon_name}\`)].map(el => set_image_src(el, arrow_right_src));"
-  , "[...document.getElementsByName(\`\${arrow_down_icon_name}\`)].map(el => set_image_src(el, arrow_down_src));"
-].join("")
+// Merge a set of option overrides into some base set of options, ignoring invalid values
+var merge_options =
+  (base, overrides) =>
+    (merged =>
+      Object.assign(merged
+      , isValidDepthLimit(merged.depth_limit) ? {} : { depth_limit : base.depth_limit }
+      , isValidMaxRows(merged.max_rows)       ? {} : { max_rows    : base.max_rows }
+      , isValidMaxRows(merged.max_rows_sent)  ? {} : { max_rows_sent : base.max_rows_sent }
+      , isValidPersist(merged.persist)        ? {} : { persist     : base.persist }
+      , isValidRecords(merged.records)        ? {} : { records     : base.records }
+      , isValidRedact(merged.redact)          ? {} : { redact      : base.redact }
+      , isValidTimeZone(merged.time_zone)     ? {} : { time_zone   : base.time_zone }
+      , isValidDateFormat(merged.date_format) ? {} : { date_format : base.date_format }
+      , isValidNonce(merged.nonce)            ? {} : { nonce       : base.nonce }
+      , isValidTimeout(merged.await_timeout)  ? {} : { await_timeout : base.await_timeout }
+      , isValidItemLimit(merged.await_limit)  ? {} : { await_limit   : base.await_limit }
+      )
+    )
+    (Object.assign({}, base, overrides))
 
 // *********************************************************************************************************************
 // Discover what data type the object itself thinks it has - as opposed to the data type JavaScript thinks it has
@@ -88,67 +150,356 @@ var isNumeric     = x => isNumber(x) || isBigInt(x)
 var isFunction    = x => isFn(x) || isGenFn(x)
 var isObject      = x => isJsObject(x) || isNodeJsProcess(x) || isNodeJsGlobal(x)
 
-// A map of data types that are considered expandable together with the functions needed to return the number of
-// enumerable properties or elements they contain
-var expandableTypesMap = new Map()
+// *********************************************************************************************************************
+// Type renderers
+// Each data type that needs special treatment is described by a renderer object containing the following properties:
+// * name     : Identifies the renderer.  Registering a second renderer with the same name replaces the first one
+// * test     : Returns true for the values handled by this renderer.  Defaults to isOfType(name)
+// * label    : Returns the text displayed in the Type column.  Defaults to typeOf()
+//
+// Expandable types also have:
+// * entries  : Returns an array of [key, value] pairs, one for each row of the nested table
+// * size     : Returns the number of entries.  Defaults to the length of the entries array
+// * heading  : The heading of the table's first column.  Defaults to "Property"
+// * key_only : The type holds only keys (as in a Set), so the Type and Value columns are not needed
+// * sortable : The entries are object properties whose order is controlled by the sort_keys option
+//
+// Non-expandable types may instead have:
+// * format   : Returns the content of the Value column as either plain text (which will be escaped) or raw_html().  It
+//              receives the value and the rendering options in force
+var typeRenderers = []
 
-expandableTypesMap.set("Array",   x => x.length)
-expandableTypesMap.set("Map",     x => x.size)
-expandableTypesMap.set("Set",     x => x.size)
-expandableTypesMap.set("Object",  x => Object.keys(x).length)
-expandableTypesMap.set("process", x => Object.keys(x).length)
-expandableTypesMap.set("global",  x => Object.keys(x).length)
+// The first renderer whose test function returns true is used, so the built-in renderers are held in order of
+// decreasing specificity, and user defined renderers take precedence over all of them
+var add_renderer = renderer =>
+  typeRenderers.push(Object.assign({ test : isOfType(renderer.name) }, renderer))
 
-var isExpandable = x => expandableTypesMap.has(typeOf(x))
+// A new type is labelled with its own name unless it supplies a label function.  A renderer that replaces a built-in one
+// keeps labelling values using typeOf(), so that (for instance) a replacement "TypedArray" renderer still shows
+// "Uint8Array" or "Float64Array"
+var register_type =
+  (name, renderer) =>
+    (idx => {
+      var new_renderer = Object.assign({ test : isOfType(name) }, idx >= 0 ? {} : { label : () => name }, renderer, { name : name })
 
-// Proxy wrapper around the expandableTypesMap to provide a default response of a function that always returns a valid
-// integer when passed to the 'sizeOf' function
-var expandableTypes = new Proxy(expandableTypesMap, {
-  get: (map, key) => map.has(key) ? map.get(key) : () => 0
-})
+      idx >= 0 ? typeRenderers.splice(idx, 1, new_renderer) : typeRenderers.unshift(new_renderer)
+      return new_renderer
+    })
+    (typeRenderers.findIndex(r => r.name === name))
+
+var rendererOf = x => typeRenderers.find(r => r.test(x))
+
+var isExpandable = x => (r => !!r && isFunction(r.entries))(rendererOf(x))
 
 // Return the number of enumerable properties/elements in an expandable object
-var sizeOf = obj => expandableTypes[typeOf(obj)](obj)
+// If the inspect option is passed, objects displayed by a sortable renderer count all their own properties, plus a row
+// for their prototype
+var sizeOf =
+  (obj, opts) =>
+    (r =>
+      !r || !isFunction(r.entries)
+      ? 0
+      : r.sortable && !isNullOrUndef(opts) && opts.inspect
+        ? Reflect.ownKeys(obj).length + (isNull(Object.getPrototypeOf(obj)) ? 0 : 1)
+        : isFunction(r.size) ? r.size(obj) : r.entries(obj).length
+    )
+    (rendererOf(obj))
+
+// The text displayed in the Type column
+var type_label = x => (r => r && isFunction(r.label) ? r.label(x) : typeOf(x))(rendererOf(x))
+
+// The heading of the first column of an expandable object's table
+var column_heading = x => (r => r && r.heading ? r.heading : "Property")(rendererOf(x))
+
+// - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+// Helper functions for the built-in renderers
+var own_entries = obj => Object.keys(obj).map(key => [key, obj[key]])
+
+// The name of the class from which an object was created, or null for plain objects
+var class_name =
+  obj => {
+    var proto = Object.getPrototypeOf(obj)
+    var ctor  = proto && Object.prototype.hasOwnProperty.call(proto, "constructor") ? proto.constructor : null
+
+    return isFunction(ctor) && ctor.name && ctor !== Object ? ctor.name : null
+  }
+
+// A prototype object is named after the constructor to which it belongs (E.G. "Map.prototype"), otherwise null
+var prototype_name =
+  obj =>
+    (desc =>
+      !isUndefined(desc) && isFunction(desc.value) && desc.value.prototype === obj
+      ? `${desc.value.name || "(anonymous)"}.prototype`
+      : null
+    )
+    (Object.getOwnPropertyDescriptor(obj, "constructor"))
+
+// In inspect mode, an accessor property is displayed using this placeholder so that its getter is never invoked
+var accessor_tag = Symbol("bfu-accessor")
+
+var as_accessor =
+  desc => ({
+    [accessor_tag]        : true
+  , [Symbol.toStringTag]  : "Accessor"
+  , get                   : isFunction(desc.get)
+  , set                   : isFunction(desc.set)
+  })
+
+var isAccessor = x => !isNullOrUndef(x) && x[accessor_tag] === true
+
+var accessor_text = x => x.get && x.set ? "[Getter/Setter]" : x.get ? "[Getter]" : "[Setter]"
+
+// The async entry points display each Promise or async iterable they have awaited using this placeholder, whose entries
+// describe the outcome (see "Asynchronous values" below)
+var awaited_tag = Symbol("bfu-awaited")
+
+var as_awaited = (label, entries) => ({ [awaited_tag] : true, label : label, entries : entries })
+
+var isAwaited = x => !isNullOrUndef(x) && x[awaited_tag] === true
+
+// Display at most this many bytes or elements of binary data
+var binary_display_limit = 64
+
+var truncation_notice = (total, unit) => total > binary_display_limit ? ` … (${total} ${unit})` : ""
+
+var as_hex_bytes =
+  (buffer, byteOffset, byteLength) =>
+    [...new Uint8Array(buffer, byteOffset, Math.min(byteLength, binary_display_limit))]
+      .map(byte => byte.toString(16).padStart(2, "0"))
+      .join(" ") + truncation_notice(byteLength, "bytes")
+
+var isByteArray = x => x instanceof Uint8Array || x instanceof Uint8ClampedArray || x instanceof Int8Array
+
+var as_element_list =
+  typed_array =>
+    `[${[...typed_array.subarray(0, binary_display_limit)].join(", ")}]${truncation_notice(typed_array.length, "elements")}`
+
+var promise_state =
+  p =>
+    (inspected => inspected.includes("<pending>") ? "pending" : inspected.includes("<rejected>") ? "rejected" : "fulfilled")
+    (util.inspect(p, { depth : 0 }))
+
+var error_entries =
+  err =>
+    [["name", err.name], ["message", err.message]]
+      // Each line of the stack trace becomes an array element
+      .concat(isNullOrUndef(err.stack) ? [] : [["stack", String(err.stack).split("\n").map(line => line.trim())]])
+      .concat("cause" in err ? [["cause", err.cause]] : [])
+      // Followed by any other enumerable properties such as 'code' or 'errno'
+      .concat(own_entries(err).filter(([key]) => ["name", "message", "stack", "cause"].indexOf(key) < 0))
 
 // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
-// Map of column headings per expandable data type
-var columnHeadingMap = new Map()
+// Built-in renderers
+add_renderer({ name : "RawHtml", format : x => x })
+add_renderer({ name : "Accessor", test : x => isAccessor(x), format : accessor_text })
+add_renderer({ name : "Awaited",  test : x => isAwaited(x),  label : x => x.label, entries : x => x.entries })
+
+add_renderer({
+  name   : "Buffer"
+, test   : x => Buffer.isBuffer(x)
+, label  : () => "Buffer"
+, format : x => as_hex_bytes(x.buffer, x.byteOffset, x.byteLength)
+})
+
+add_renderer({
+  name   : "TypedArray"
+, test   : x => ArrayBuffer.isView(x) && !(x instanceof DataView)
+, format : x => isByteArray(x) ? as_hex_bytes(x.buffer, x.byteOffset, x.byteLength) : as_element_list(x)
+})
+
+add_renderer({ name : "DataView",    format : x => as_hex_bytes(x.buffer, x.byteOffset, x.byteLength) })
+add_renderer({ name : "ArrayBuffer", format : x => as_hex_bytes(x, 0, x.byteLength) })
+
+add_renderer({ name : "Array", entries : x => x.map((el, idx) => [idx, el]),  size : x => x.length, heading : "Index" })
+add_renderer({ name : "Map",   entries : x => [...x.entries()],               size : x => x.size,   heading : "Key" })
+add_renderer({ name : "Set",   entries : x => [...x].map(el => [el, null]),   size : x => x.size,   heading : "Key", key_only : true })
+
+add_renderer({
+  name   : "Date"
+, format : (x, opts) =>
+    isNaN(x.getTime())
+    ? "Invalid Date"
+    : isNullOrUndef(opts) || (isNull(opts.time_zone) && isNull(opts.date_format))
+      ? x.toISOString()
+      : format_datetime(x, isNull(opts.time_zone) ? "UTC" : opts.time_zone, isNull(opts.date_format) ? "iso" : opts.date_format)
+})
+add_renderer({ name : "RegExp",  format : x => `/${x.source}/${x.flags}` })
+add_renderer({ name : "Promise", format : x => `<${promise_state(x)}>` })
+add_renderer({ name : "WeakMap", format : () => "[Entries cannot be inspected]" })
+add_renderer({ name : "WeakSet", format : () => "[Entries cannot be inspected]" })
+add_renderer({ name : "WeakRef", entries : x => [["[[Target]]", x.deref()]] })
+add_renderer({ name : "URL",     format : x => x.href })
 
-columnHeadingMap.set("Array", "Index")
-columnHeadingMap.set("Map", "Key")
-columnHeadingMap.set("Set", "Key")
+add_renderer({ name : "URLSearchParams", entries : x => [...x.entries()], heading : "Name" })
 
-// Proxy wrapper around the columnHeadingMap to provide a default response of "Property"
-var columnHeadings = new Proxy(columnHeadingMap, {
-  get: (map, key) => map.has(key) ? map.get(key) : "Property"
+add_renderer({
+  name    : "Error"
+, test    : x => x instanceof Error || isOfType("Error")(x)
+, label   : x => x.name || typeOf(x)
+, entries : error_entries
 })
 
+// Boxed primitives such as new String("abc") would otherwise be displayed as objects
+add_renderer({
+  name   : "BoxedPrimitive"
+, test   : x => typeof x === "object" && ["Boolean", "Number", "String", "BigInt", "Symbol"].indexOf(typeOf(x)) >= 0
+, label  : x => `${typeOf(x)} object`
+, format : x => String(x.valueOf())
+})
+
+// Any other object (including 'process', 'global', class instances and objects with a custom Symbol.toStringTag) is
+// displayed as a list of its own enumerable properties.  Class instances show the name of their class as the type
+add_renderer({
+  name     : "Object"
+, test     : x => !isNull(x) && typeof x === "object"
+, label    : x => typeOf(x) === "Object" ? prototype_name(x) || class_name(x) || "Object" : typeOf(x)
+, entries  : own_entries
+, size     : x => Object.keys(x).length
+, sortable : true
+})
+
+// *********************************************************************************************************************
+// HTML escaping
+// Everything that originates from the object being displayed (property names, primitive values, titles) is untrusted
+// and must be escaped before it is placed into the generated HTML
+var html_escapes = {
+  "&" : "&amp;"
+, "<" : "&lt;"
+, ">" : "&gt;"
+, '"' : "&quot;"
+, "'" : "&#39;"
+, "`" : "&#96;"
+}
+
+// String() is used rather than a template literal because a template literal throws when passed a Symbol
+var escape_html = val => String(val).replace(/[&<>"'`]/g, ch => html_escapes[ch])
+
+// Attribute values are always quoted by this library, so escaping both quote characters makes the value safe
+// irrespective of which quote character surrounds it
+var escape_attr = escape_html
+
+// - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+// Wrapper for trusted HTML that must be injected into the output without being escaped.
+// Only use this for markup you have generated yourself; never wrap data that came from a request or the environment
+var raw_html_tag = Symbol("bfu-raw-html")
+
+var raw_html =
+  html => ({
+    [raw_html_tag]        : true
+  , [Symbol.toStringTag]  : "RawHtml"
+  , html                  : isRawHtml(html) ? html.html : String(html)
+  , toString              : function () { return this.html }
+  })
+
+var isRawHtml = x => !isNullOrUndef(x) && x[raw_html_tag] === true
+
+// Transform a value into HTML text content.  Trusted HTML is passed through untouched, everything else is escaped
+var as_text = val => isRawHtml(val) ? val.html : escape_html(val)
+
+// A props_array wrapped so that it can be passed to h in place of an attributes object
+var props_array_tag = Symbol("bfu-props-array")
+
+var as_props_array = props => ({ [props_array_tag] : true, props : props })
+
+var isPropsArray = x => !isNullOrUndef(x) && x[props_array_tag] === true
+
+// Transform a single element of a props_array into an attribute string
+// * Strings are assumed to be pre-formatted attributes such as "class='bfu-td'" and are used as they are
+// * Objects are treated as name/value pairs whose values are escaped.  A value of true generates a boolean attribute
+//   and a value of false, null or undefined causes the attribute to be omitted
+// * A wrapped props_array is transformed element by element
+var format_attr =
+  prop =>
+    isRawHtml(prop)
+    ? prop.html
+    : isPropsArray(prop)
+    ? prop.props.map(format_attr).join(" ")
+    : isJsObject(prop)
+      ? Object.keys(prop)
+          .filter(name => prop[name] !== false && !isNullOrUndef(prop[name]))
+          .map(name => prop[name] === true ? name : `${name}="${escape_attr(prop[name])}"`)
+          .join(" ")
+      : prop
+
 // *********************************************************************************************************************
 // Generate HTML elements
-// None of these HTML elements require a closing tag
+// None of these HTML elements can have content, so they require no closing tag
 const emptyElements = [
-  'area', 'base', 'basefont', 'br'
-, 'col', 'frame', 'hr', 'img'
-, 'input', 'isindex', 'link', 'meta'
-, 'param', 'command', 'keygen', 'source'
+  'area', 'base', 'br', 'col'
+, 'embed', 'hr', 'img', 'input'
+, 'link', 'meta', 'source', 'track'
+, 'wbr'
 ]
 
 var isEmptyElement = tag_name => emptyElements.indexOf(tag_name) >= 0
 
-// Generate an opening HTML tag
-var make_tag =
-  (tag_name, props_array) =>
-    (noProperties => `<${tag_name}${noProperties ? "" : " " + props_array.join(" ")}>`)
-    (isNullOrUndef(props_array) || props_array.length === 0)
+var doctype = "<!DOCTYPE html>"
+
+// Generate an element from the text of its attributes (null if there are none) and the HTML of its content (null if
+// there is no closing tag)
+var make_element =
+  (tag_name, attr_text, content) =>
+    `<${tag_name}${isNull(attr_text) ? "" : " " + attr_text}>${isEmptyElement(tag_name) || isNull(content) ? "" : `${content}</${tag_name}>`}`
+
+// Transform a list of children into HTML.  Nested arrays are flattened, trusted HTML is used as it is and every other
+// value is escaped.  As in JSX, null, undefined and Booleans generate nothing, so children can be made conditional
+var make_children =
+  children =>
+    children
+      .map(child =>
+        isArray(child)
+        ? make_children(child)
+        : isNullOrUndef(child) || typeof child === "boolean"
+          ? ""
+          : as_text(child)
+      )
+      .join("")
+
+// - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+// Hyperscript style element builder
+// E.G. h("td", { class : "bfu-td", hidden : true }, child1, child2)
+// The attributes object is formatted by format_attr and may be omitted.  The result is wrapped in raw_html so that it
+// can itself be passed as the child of another element without being escaped
+var h =
+  (tag_name, attrs, ...children) =>
+    isNullOrUndef(attrs) || isJsObject(attrs)
+    ? raw_html(
+        make_element(
+          tag_name
+        , (attr_text => attr_text === "" ? null : attr_text)(isNullOrUndef(attrs) ? "" : format_attr(attrs))
+        , make_children(children)
+        )
+      )
+    : h(tag_name, null, attrs, ...children)
+
+// A fragment joins its children without enclosing them in an element
+var fragment = (...children) => raw_html(make_children(children))
+
+// Generate a complete HTML page.  The title is plain text and the body is a list of children as passed to h.  Any
+// further children of the head element (E.G. style sheets) are passed in opts.head
+var html_page =
+  (title, body, opts = {}) =>
+    doctype +
+    h("html", { lang : opts.lang || "en" }
+    , h("head", null
+      , h("meta", { charset : "utf-8" })
+      , h("meta", { name : "viewport", content : "width=device-width, initial-scale=1" })
+      , h("title", null, plain_text(title))
+      , opts.head
+      )
+    , h("body", null, body)
+    )
 
 // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
-// Partial function to create a generic HTML element generator
-// Any content passed to an empty HTML element will be ignored
+// Partial function to create a generic HTML element generator that wraps h
+// The props_array holds the element's attributes in any form accepted by format_attr, and the content is HTML markup.
+// Any content passed to an empty HTML element will be ignored.  If no content is passed, only the opening tag is
+// generated, so the closing tag generated by h is removed
 var as_html_el =
   tag_name =>
     (propsArray, val) =>
-      ((openingTag, tagIsEmpty) => `${openingTag}${tagIsEmpty ? "" : `${val}</${tag_name}>`}`)
-      (make_tag(tag_name, propsArray), isEmptyElement(tag_name) || isNullOrUndef(val))
+      (html => isNullOrUndef(val) && !isEmptyElement(tag_name) ? html.slice(0, -`</${tag_name}>`.length) : html)
+      (h(tag_name, as_props_array(isNullOrUndef(propsArray) ? [] : propsArray), isNullOrUndef(val) ? null : raw_html(val)).html)
 
 // Functions for generating specific HTML elements
 var as_a      = as_html_el("a")
@@ -160,6 +511,8 @@ var as_h2     = as_html_el("h2")
 var as_head   = as_html_el("head")
 var as_html   = as_html_el("html")
 var as_img    = as_html_el("img")
+var as_input  = as_html_el("input")
+var as_label  = as_html_el("label")
 var as_ol     = as_html_el("ol")
 var as_li     = as_html_el("li")
 var as_link   = as_html_el("link")
@@ -183,225 +536,1862 @@ var as_ul     = as_html_el("ul")
 var make_table_hdr_row =
   (col1_txt, depth, keyOnly) =>
     keyOnly
-    ? as_tr([], [ as_th(["class='bfu-th'"], col1_txt)].join(""))
-    : as_tr([], [ as_th(["class='bfu-th'"], col1_txt)
+    ? as_tr([], [ as_th(["class='bfu-th'"], as_text(col1_txt))].join(""))
+    : as_tr([], [ as_th(["class='bfu-th'"], as_text(col1_txt))
                 , as_th(["class='bfu-th'"], "Type")
                 , as_th(["class='bfu-th'"], `Value (depth=${depth})`)
                 ].join("")
       )
 
+var sort_keys =
+  (keys, sort_option) =>
+    isFunction(sort_option)
+    ? keys.sort(sort_option)
+    : sort_option
+      ? keys.sort()
+      : keys
+
 var empty_placeholder      = obj => isArray(obj) ? "[]" : "{}"
 var suppressed_placeholder = obj => isArray(obj) ? "[...]" : "{...}"
 
+// *********************************************************************************************************************
+// Traversal
+// Before any output is generated, an object is traversed to produce a tree of nodes that describes what should be
+// displayed.  The traversal applies the depth limit, key sorting and function suppression options, and detects
+// circular and shared references.  Each output format (HTML, text, Markdown or JSON) then only has to decide how each
+// node should look.
+//
+// Every node contains:
+// * key    : The property name, index or key of the value (or the object's title for the top-level node)
+// * path   : The title of the object followed by the keys leading to the value
+// * parent : The node of the table containing the value (null for the top-level node)
+// * type   : The text displayed in the Type column
+// * value  : The value itself
+// * flags  : In inspect mode, notes about the property's descriptor and the object's integrity (E.G. "read-only" or
+//            "frozen") that are displayed alongside the type.  Otherwise empty
+// * kind   : "table"     = An expandable value whose contents are displayed
+//            "empty"     = An expandable value that has no contents
+//            "truncated" = An expandable value whose contents are not displayed because of the depth limit
+//            "ref"       = An expandable value that has already been displayed elsewhere
+//            "function"  = A function whose source code is not displayed
+//            "redacted"  = A value hidden by one of the redaction rules
+//            "value"     = Any other value
+//
+// Table nodes also contain:
+// * depth    : The depth of the table (0 for the top-level table)
+// * heading  : The heading of the table's first column
+// * key_only : The table holds only keys (as in a Set)
+// * size     : The number of entries in the value (including any suppressed functions)
+// * children : The nodes of the table's rows
+// * columns  : If the table is displayed as records (see below), the keys displayed as columns, otherwise null
+//
+// Reference nodes also contain:
+// * ref    : Either "Circular" or "Shared"
+// * target : The table node in which the value was first displayed
+//
+// All other nodes also contain:
+// * text : The displayed value as either plain text or raw_html()
+//
+// The HTML output adds an element id to each table node as it is generated
+
+// - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+// Each traversal gets its own render context that holds the options for that call and keeps track of the objects
+// already displayed
+// * opts      : The rendering options in force for this call
+// * id_prefix : The prefix of every element id generated during this call
+// * id_count  : The number of element ids generated so far
+// * seen      : Maps each expandable object to the table node in which it was first displayed
+// * active    : The objects currently being traversed (I.E. the current property's ancestors)
+// * records   : Set to true once an array has been displayed as records
+// * awaited   : Maps each Promise and async iterable to the description of its outcome (see "Asynchronous values")
+// An object found in 'active' is a circular reference, an object found only in 'seen' is a shared reference
+var new_render_context = opts => ({
+  opts      : opts
+, id_prefix : new_id_prefix(opts.id_prefix)
+, id_count  : 0
+, seen      : new Map()
+, active    : new Set()
+, records   : false
+, awaited   : new Map()
+})
+
+// Promises and async iterables that have been awaited are displayed using the description of their outcome
+var awaited_value = (val, ctx) => ctx.awaited.has(val) ? ctx.awaited.get(val) : val
+
+var reference_kind =
+  (obj, ctx) =>
+    ctx.seen.has(obj)
+    ? ctx.active.has(obj) ? "Circular" : "Shared"
+    : null
+
 // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
-// Transform iterable object into an array of TR elements
-var make_table_rows_from_obj =
-  (obj_name, obj, col1txt, depth) => {
-    // Start by assuming that the object is empty
-    var return_val = empty_placeholder(obj)
-    var acc = []
-    var prop_names
-  
-    if (sizeOf(obj) > 0) {
-      // Insert the header row
-      acc.push(make_table_hdr_row(col1txt, depth, isSet(obj)))
-  
-      // Transform each object property/element into a TR element
-      if (isArray(obj)) {
-        acc.push(
-          obj.map((el, idx) => make_table_row_from_prop(obj_name, idx, el, depth))
-            .join("")
+// Inspect mode
+// Normally, an object displayed by a sortable renderer shows only its own enumerable string-keyed properties, and
+// reading these properties invokes any getters.  In inspect mode, the object's properties are instead read from their
+// descriptors, so that:
+// * Symbol-keyed and non-enumerable properties are also displayed
+// * Getters and setters are displayed as [Getter], [Setter] or [Getter/Setter] without being invoked
+// * Each property is flagged as "non-enumerable", "read-only" or "non-configurable" where appropriate, except where
+//   this follows from the object being frozen or sealed
+// * Each object is flagged as "frozen", "sealed" or "non-extensible" where appropriate
+// * A final [[Prototype]] row holds the object's prototype, through which the prototype chain can be walked
+var prototype_key = "[[Prototype]]"
+
+var integrity =
+  obj =>
+    Object.isFrozen(obj)
+    ? "frozen"
+    : Object.isSealed(obj)
+      ? "sealed"
+      : Object.isExtensible(obj) ? null : "non-extensible"
+
+// Only objects have an integrity level, and Object.isFrozen() returns true for every primitive value
+var integrity_flags =
+  val =>
+    isExpandable(val) && typeof val === "object"
+    ? (level => isNull(level) ? [] : [level])(integrity(val))
+    : []
+
+var descriptor_flags =
+  (desc, level) =>
+    [ desc.enumerable ? null : "non-enumerable"
+    , "get" in desc || desc.writable || level === "frozen" ? null : "read-only"
+    , desc.configurable || level === "frozen" || level === "sealed" ? null : "non-configurable"
+    ].filter(flag => !isNull(flag))
+
+// Each entry is [key, value, flags]
+var inspected_entries =
+  obj =>
+    (level =>
+      Reflect.ownKeys(obj)
+        .map(key =>
+          (desc => [key, "get" in desc ? as_accessor(desc) : desc.value, descriptor_flags(desc, level)])
+          (Object.getOwnPropertyDescriptor(obj, key))
         )
+        .concat(isNull(Object.getPrototypeOf(obj)) ? [] : [[prototype_key, Object.getPrototypeOf(obj), []]])
+    )
+    (integrity(obj))
+
+// Symbols cannot be sorted, so in inspect mode the string keys are sorted and followed by the symbol keys, then the
+// prototype
+var sort_own_keys =
+  (keys, opts) =>
+    opts.inspect
+    ? sort_keys(keys.filter(key => typeof key === "string" && key !== prototype_key), opts.sort_keys)
+        .concat(keys.filter(isSymbol), keys.filter(key => key === prototype_key))
+    : sort_keys(keys, opts.sort_keys)
+
+// - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+// Return the entries of an expandable object in the order in which they should be displayed.  Functions that are
+// suppressed are removed here so that they do not count towards the max_rows limit
+var displayed_entries =
+  (obj, ctx) =>
+    (renderer =>
+      (entries =>
+        ctx.opts.suppress_fns ? entries.filter(([, val]) => !isFunction(val)) : entries
+      )
+      // Present object properties in the order defined by the sort_keys option
+      (renderer.sortable
+        ? ctx.opts.inspect
+          ? (entries => sort_own_keys([...entries.keys()], ctx.opts).map(key => entries.get(key)))
+            (new Map(inspected_entries(obj).map(entry => [entry[0], entry])))
+          : sort_keys(renderer.entries(obj).map(([key]) => key), ctx.opts.sort_keys).map(key => [key, obj[key]])
+        : renderer.entries(obj)
+      )
+    )
+    (rendererOf(obj))
+
+// Non-expandable values are displayed using their renderer's format function (if there is one)
+var format_value = (val, opts) => (r => r && isFunction(r.format) ? r.format(val, opts) : val)(rendererOf(val))
+
+// - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+var new_node =
+  (parent, key, value, flags = []) => ({
+    key    : key
+  , path   : isNull(parent) ? [key] : parent.path.concat([key])
+  , parent : parent
+  , type   : type_label(value)
+  , value  : value
+  , flags  : flags
+  })
+
+// The text of the Type column, followed by any flags
+var type_text = node => node.flags.length === 0 ? node.type : `${node.type} (${node.flags.join(", ")})`
+
+var path_text = node => node.path.map(String).join(".")
+
+// Turn a node into a table node, but without any rows
+var as_table_node =
+  (node, depth, opts) =>
+    Object.assign(node, {
+      kind     : "table"
+    , depth    : depth
+    , heading  : column_heading(node.value)
+    , key_only : !!rendererOf(node.value).key_only
+    , size     : sizeOf(node.value, opts)
+    , children : []
+    , columns  : null
+    , omitted  : 0
+    })
+
+// Record that an expandable object is displayed in this table node, then traverse its entries
+// The object remains 'active' only while its own entries are being traversed
+var traverse_table =
+  (node, ctx) => {
+    ctx.seen.set(node.value, node)
+    ctx.active.add(node.value)
+
+    // Entries beyond the max_rows_sent option are counted, but not traversed
+    var entries = node.size > 0 ? displayed_entries(node.value, ctx) : []
+    var sent    = isNull(ctx.opts.max_rows_sent) ? entries : entries.slice(0, ctx.opts.max_rows_sent)
+
+    node.omitted  = entries.length - sent.length
+    node.children = sent.map(([key, val, flags]) => traverse_prop(node, key, val, ctx, flags))
+
+    ctx.active.delete(node.value)
+    node.columns = record_columns(node, ctx.opts)
+    ctx.records  = ctx.records || !isNull(node.columns)
+
+    return node
+  }
+
+// Describe a single object property or array or map element
+// In inspect mode, any flags describing the property are passed in
+var traverse_prop =
+  (parent, key, prop_value, ctx, flags = []) => {
+    var value = awaited_value(prop_value, ctx)
+    var node  = new_node(parent, key, value, ctx.opts.inspect ? flags.concat(integrity_flags(value)) : [])
+    var ref_kind
+
+    // A nested table should only be displayed when the following five conditions are true:
+    // * The value has not been redacted
+    // * The value is expandable
+    // * The expandable object has contents
+    // * The object has not already been displayed somewhere else
+    // * We are not about to exceed the recursion depth limit
+    if (isRedacted(node, ctx.opts.redact)) {
+      Object.assign(node, { kind : "redacted", text : redacted_text })
+    }
+    else if (isExpandable(value)) {
+      if (sizeOf(value, ctx.opts) === 0) {
+        Object.assign(node, { kind : "empty", text : empty_placeholder(value) })
       }
-      else if (isObject(obj)) {
-        // Present object properties in alphabetic order
-        prop_names = Object.keys(obj).sort()
-        acc.push(
-          prop_names.map(prop_name => make_table_row_from_prop(obj_name, prop_name, obj[prop_name], depth))
-            .join("")
-        )
+      else if (ref_kind = reference_kind(value, ctx)) {
+        Object.assign(node, { kind : "ref", ref : ref_kind, target : ctx.seen.get(value) })
       }
-      else if (isMap(obj)) {
-        var iter = obj[Symbol.iterator]()
-  
-        for (let el of iter) {
-          acc.push(make_table_row_from_prop(obj_name, el[0], el[1], depth))
-        }
+      else if (parent.depth < ctx.opts.depth_limit) {
+        traverse_table(as_table_node(node, parent.depth + 1, ctx.opts), ctx)
       }
-      else if (isSet(obj)) {
-        obj.forEach(val => acc.push(make_table_row_from_prop(obj_name, val, null, depth, true)))
+      else {
+        Object.assign(node, { kind : "truncated", text : suppressed_placeholder(value) })
       }
-  
-      return_val = acc.join("")
     }
-  
-    return return_val
+    else {
+      leaf_node(node, ctx.opts)
+    }
+
+    return node
+  }
+
+// If the value is a function then suppress the source code, else display the (possibly formatted) value
+var leaf_node =
+  (node, opts) =>
+    isFunction(node.value)
+    ? Object.assign(node, { kind : "function", text : "Source code suppressed" })
+    : Object.assign(node, { kind : "value", text : format_value(node.value, opts) })
+
+// Traverse an object (or any other value) under the given title
+// The top-level value is always displayed as a table if it is expandable, irrespective of its size
+var traverse =
+  (title, value, ctx) =>
+    (val =>
+      (node => isExpandable(val) ? traverse_table(as_table_node(node, 0, ctx.opts), ctx) : leaf_node(node, ctx.opts))
+      (new_node(null, plain_text(title), val, ctx.opts.inspect ? integrity_flags(val) : []))
+    )
+    (awaited_value(value, ctx))
+
+// - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+// Redaction
+// Values that should never be displayed (such as passwords and API keys) are replaced by "[REDACTED]", but keep their
+// type.  A redacted object is not traversed, so none of its contents are displayed.  Each redaction rule is one of:
+// * A RegExp  : Redacts every property, array element or map entry whose key matches the pattern
+// * A string  : Redacts the value at exactly this key path, relative to the object being displayed.  Keys are separated
+//               by "." and "*" matches any single key (E.G. "env.AWS_SECRET_ACCESS_KEY" or "users.*.password")
+// * A function: Redacts every value for which the function returns true.  The function receives the value, its key and
+//               the array of keys leading to it
+var redacted_text = "[REDACTED]"
+
+var isRedactionRule = rule => isOfType("RegExp")(rule) || typeof rule === "string" || isFunction(rule)
+
+var matchesKeyPath =
+  (rule, keys) =>
+    (rule_keys =>
+      rule_keys.length === keys.length && rule_keys.every((rule_key, idx) => rule_key === "*" || rule_key === String(keys[idx]))
+    )
+    (rule.split("."))
+
+// The first element of a node's path is the object's title, so it is not part of the key path
+var isRedacted =
+  (node, rules) =>
+    !isNull(rules) &&
+    rules.some(rule =>
+      typeof rule === "string"
+      ? matchesKeyPath(rule, node.path.slice(1))
+      : isFunction(rule)
+        ? !!rule(node.value, node.key, node.path.slice(1))
+        : String(node.key).search(rule) >= 0
+    )
+
+// Detectors for values that look like secrets, whatever the name of the property holding them
+var secret_detectors = {
+  // JSON Web Tokens (three base64url encoded parts, the first of which always starts with '{"')
+  jwt             : val => typeof val === "string" && /\beyJ[\w-]+\.[\w-]+\.[\w-]*/.test(val)
+  // PEM encoded keys and certificates
+, pem             : val => typeof val === "string" && /-----BEGIN [A-Z0-9 ]+-----/.test(val)
+  // URLs containing a password (E.G. database connection strings)
+, url_credentials : val => typeof val === "string" && /\b[a-z][a-z0-9+.-]*:\/\/[^\/\s:@]*:[^\/\s@]+@/i.test(val)
+}
+
+// The rules used by show_nodejs_process and show_nodejs_global unless some other rules are supplied
+// Names ending in "pwd" are passwords (E.G. DB_PWD), except for the shell's PWD and OLDPWD working directories
+// Names starting with "auth" or "authorization" as a whole word are credentials (E.G. AUTH, AUTH_HEADER, the HTTP
+// Authorization header or AUTHORIZATION-CODE), but not names such as AUTHOR or AUTHORS_FILE
+var default_redactions = [
+  /passw(or)?d|passphrase|^(?!(old)?pwd$)(.*[-_])?(db[-_]?)?pwd$|secret|token|(^|[-_])key$|api[-_]?key|private[-_]?key|access[-_]?key|credential|^auth(orization)?([-_]|$)|cookie|session[-_]?id/i
+, secret_detectors.jwt
+, secret_detectors.pem
+, secret_detectors.url_credentials
+]
+
+// - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+// Records
+// An array whose elements are objects sharing the same keys (such as the rows returned by a database query) can be
+// displayed as a single table with one row per element and one column per key, rather than as one nested table per
+// element.  The records option controls when this happens:
+// * "auto" : When there are at least two elements and every element has exactly the same keys
+// * true   : Whenever every element is an object.  The columns are then all the keys found in any of the elements
+// * false  : Never
+// Each element's own table node then holds the row's cells as its children
+var isRecord =
+  node =>
+    ((node.kind === "table" && !node.key_only) || node.kind === "empty") && !!rendererOf(node.value).sortable
+
+var record_keys = node => node.kind === "table" ? node.children.map(child => child.key) : []
+
+var haveSameKeys =
+  keys =>
+    keys.length > 1 &&
+    keys[0].length > 0 &&
+    keys.every(row_keys => row_keys.length === keys[0].length && row_keys.every(key => keys[0].includes(key)))
+
+var record_columns =
+  (node, opts) =>
+    !isArray(node.value) || opts.records === false || node.children.length === 0 || !node.children.every(isRecord)
+    ? null
+    : (keys =>
+        opts.records === true
+        ? sort_keys([...new Set(keys.reduce((acc, row_keys) => acc.concat(row_keys), []))], opts.sort_keys)
+        : haveSameKeys(keys) ? keys[0] : null
+      )
+      (node.children.map(record_keys))
+
+// The node of one cell of a record, or undefined if the element does not have that key
+var record_cell = (node, column) => node.kind === "table" ? node.children.find(child => child.key === column) : undefined
+
+// The label of a link back to the table in which a circular or shared reference was first displayed
+var reference_label = node => `[${node.ref} → ${path_text(node.target)}]`
+
+// The number of a table's rows that are displayed before the user asks to see more
+var visible_row_count = (node, opts) => isNull(opts.max_rows) ? node.children.length : opts.max_rows
+
+// The notes that follow the displayed rows of a table in the text formats: the number of rows hidden by the max_rows
+// option, then the number of rows left out by the max_rows_sent option
+var more_row_notes =
+  (node, hidden) =>
+    (hidden > 0 ? [`… ${hidden} more`] : []).concat(node.omitted > 0 ? [`… ${node.omitted} more not included`] : [])
+
+// *********************************************************************************************************************
+// HTML output
+
+// - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+// Element ids
+// Property names cannot be used directly as element ids because different property paths can map to the same text
+// (E.G. "Foo" and "foo", or "a-b" + "c" and "a" + "b-c").  Instead, each id is made unique by a counter held in the
+// render context, and is scoped by a prefix that is unique to each call to create_content.  The property name is
+// included only to make the generated HTML easier to read, and is reduced to characters that are safe to use in HTML
+// attributes, JavaScript strings and CSS selectors
+// The default prefix is random rather than counted, because the outputs of different processes (such as several FaaS
+// containers) may be placed on the same page
+
+var as_id_fragment =
+  txt =>
+    String(txt).toLowerCase()
+      .replace(/[^a-z0-9_]+/g, "-")
+      .replace(/^-+|-+$/g, "")
+      .slice(0, 32)
+
+var new_id_prefix =
+  id_prefix =>
+    (prefix => /^[a-z]/.test(prefix) ? prefix : `bfu${crypto.randomBytes(4).toString("hex")}`)
+    (isNullOrUndef(id_prefix) ? "" : as_id_fragment(id_prefix))
+
+var new_element_id =
+  (ctx, prop_name) =>
+    (fragment => `${ctx.id_prefix}-${++ctx.id_count}${fragment.length > 0 ? "-" + fragment : ""}`)
+    (as_id_fragment(prop_name))
+
+// Only nodes displayed as collapsible tables need an element id.  The id is allocated when the table's row is generated
+var with_element_id =
+  (node, ctx) =>
+    node.kind === "table" && isNullOrUndef(node.id) ? Object.assign(node, { id : new_element_id(ctx, node.key) }) : node
+
+// The element ids of every table from the outermost table down to the given node
+var node_ids =
+  node =>
+    isNull(node)
+    ? []
+    : node_ids(node.parent).concat(isNullOrUndef(node.id) ? [] : [node.id])
+
+// Generate a link back to the table in which a circular or shared reference was first displayed
+// Clicking the link expands that table (and all of its ancestors) before jumping to it.  The ids of the ancestors are
+// needed because in lazy mode, the target table might not exist until its ancestors have been expanded
+// An object displayed as a record does not have its own table, so the link jumps to the object's row instead
+var make_reference_link =
+  node =>
+    as_a(
+      [{ class             : "bfu-ref"
+       , href              : isRecordRow(node.target) ? `#${node.target.id}` : `#${node.target.id}-content`
+       , "data-bfu-action" : "reveal"
+       , "data-bfu-reveal" : node_ids(node.target).join(" ")
+       }]
+    , as_text(reference_label(node))
+    )
+
+// - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+// Transform a table node into an array of TR elements
+// If the max_rows option is set, only that many rows are generated.  The remaining rows are passed to the client as
+// JSON and are only transformed into TR elements when the user asks to see them.  Any rows left out by the
+// max_rows_sent option are counted in a final row
+var make_table_rows = (node, ctx) => node.size === 0 ? empty_placeholder(node.value) : join_chunks(table_row_chunks(node, ctx))
+
+// Insert the header row, then transform each visible row node into a TR element.  The rows are generated one at a time
+// so that the HTML of a large table can be streamed
+var table_row_chunks =
+  function* (node, ctx) {
+    var visible_count = visible_row_count(node, ctx.opts)
+
+    yield isNull(node.columns) ? make_table_hdr_row(node.heading, node.depth, node.key_only) : make_records_hdr_row(node)
+
+    for (var child of node.children.slice(0, visible_count)) {
+      yield isNull(node.columns) ? make_table_row(child, ctx, node.key_only) : make_record_row(child, node.columns, ctx)
+    }
+
+    if (node.children.length > visible_count) {
+      yield make_more_rows_row(lazy_rows(node.children.slice(visible_count), node, ctx), ctx.opts.max_rows, column_count(node))
+    }
+
+    if (node.omitted > 0) {
+      yield make_omitted_row(node.omitted, column_count(node))
+    }
   }
 
+var join_chunks = chunks => [...chunks].join("")
+
 // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
 // Place table rows into a table, then into a collapsible DIV
-var make_collapsible_div = (div_name, table_rows, depth) =>
-  as_div([`id="${div_name}-content"`, depth === 0 ? "" : "style='display:none'"]
-    , as_table(["class='bfu-table'"], table_rows)
-  )
+// Only the top-level table is initially displayed unless the expanded flag is set
+// Any preamble (such as the column selector of a records table) is placed before the table
+// The top-level table is a tree grid labelled by the object's title, and each nested table is a grid
+var make_collapsible_div = (div_name, table_rows, depth, expanded, preamble = "") =>
+  join_chunks(collapsible_div_chunks(div_name, [table_rows], depth, expanded, preamble))
 
-// - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
-// Generate a single table row for either an object property or an array or map element
-// The keyOnly flag is set to true if the property belongs to an object that stores only keys (such as a Set)
-var make_table_row_from_prop = (parent_name, prop_name, prop_value, depth, keyOnly) => {
-  var cols = []
-  var this_prop_name = `${parent_name}-${prop_name}`.toLowerCase()
-  var this_el_type = typeOf(prop_value)
-
-  // Should we suppress functions from the display?
-  if (suppress_fns && isFunction(prop_value)) {
-    // Yup, functions are not to be displayed, so return null
-    return null
+var collapsible_div_chunks =
+  function* (div_name, row_chunks, depth, expanded, preamble = "") {
+    yield as_div([`id="${escape_attr(div_name)}-content"`, depth === 0 || expanded ? "" : "hidden"])
+      + preamble
+      + as_table(["class='bfu-table'", table_role(div_name, depth)])
+
+    yield* row_chunks
+    yield "</table></div>"
   }
-  else {
-    // Nope, so add contents to column 1
-    // Depending on the datatype being transformed, this will be either a property or key name, or an index number
-    cols.push(as_td(["class='bfu-td'"], prop_name))
 
-    // The expand/collapse buttons should only be displayed when the following three conditions are true:
-    // * The current element is expandable
-    // * The expandable object has contents
-    // * We are not about to exceed the recursion depth limit
-    var type_col = (isExpandable(prop_value) && sizeOf(prop_value) > 0 && depth < depth_limit)
-      ? expand_button_div(this_prop_name, this_el_type) + collapse_button_div(this_prop_name, this_el_type)
-      : this_el_type
-
-    // How should the current object be rendered?
-    var value_col = isExpandable(prop_value)
-      ? (sizeOf(prop_value) > 0)
-        ? (depth < depth_limit)
-          ? render_value(prop_value, this_prop_name, depth + 1)
-          : suppressed_placeholder(prop_value)
-        : empty_placeholder(prop_value)
-      : render_value(prop_value, this_prop_name, depth + 1)
-
-    // Add the Type and Value columns to the current row
-    // If this object holds only keys (as in a Set), then Type and Value columns are not needed
-    if (!keyOnly) {
-      cols.push(as_td(["class='bfu-td'"], type_col))
-      cols.push(as_td(["class='bfu-td'"], value_col))
-    }
+var table_role =
+  (div_name, depth) =>
+    depth === 0 ? `role='treegrid' aria-labelledby='${escape_attr(div_name)}-title'` : "role='grid'"
+
+// - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+// Generate a single TR element for either an object property or an array or map element
+// The keyOnly flag is set to true if the property belongs to an object that stores only keys (such as a Set)
+// Any row_props are added to the TR element
+var make_table_row = (node, ctx, keyOnly, row_props = []) =>
+  (node =>
     // Join the row into single string then return this as a TR element
-    return as_tr([], cols.join(""))
-  }
-}
+    // If this object holds only keys (as in a Set), then Type and Value columns are not needed
+    as_tr(row_props
+    , [as_td(["class='bfu-td'"], as_text(node.key))]
+        .concat(keyOnly
+          ? []
+          : [ as_td(["class='bfu-td'"], make_type_html(node))
+            , as_td(["class='bfu-td'"], make_value_html(node, ctx))
+            ]
+        )
+        .join("")
+    )
+  )
+  (with_element_id(node, ctx))
+
+// Values displayed as a table need expand/collapse buttons in the Type column
+var make_type_html =
+  node =>
+    node.kind === "table"
+    ? expand_button_div(node.id, as_text(type_text(node)), toggle_label(node))
+      + collapse_button_div(node.id, as_text(type_text(node)), toggle_label(node))
+    : as_text(type_text(node))
+
+// Transform a node into a useful HTML representation.
+// Table nodes become a collapsible table, other nodes simply display their (escaped) text
+// In lazy mode, nested tables are not generated here; instead, the collapsible DIV contains the table's contents as
+// JSON, and the table is generated by the client the first time it is expanded
+var make_value_html =
+  (node, ctx) =>
+    node.kind === "table"
+    ? ctx.opts.lazy && node.depth > 0
+      ? make_lazy_div(node.id, lazy_table(node, ctx))
+      : join_chunks(table_div_chunks(node, ctx))
+    : node.kind === "ref"
+      ? make_reference_link(node)
+      : as_text(node.text)
+
+var table_div_chunks =
+  (node, ctx) =>
+    collapsible_div_chunks(
+      node.id
+    , node.size === 0 ? [empty_placeholder(node.value)] : table_row_chunks(node, ctx)
+    , node.depth
+    , false
+    , isNull(node.columns) || node.size === 0 ? "" : column_selector(node.columns)
+    )
 
 // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
-// Transform the current value into a useful HTML representation.
-// If the value is expandable, then create a table, otherwise, simply return the value
-var render_value =
-  (enum_arg, enum_name, depth) =>
-    // Is the current object expandable?
-    (isExpandable(enum_arg))
-      // Yup, so transform it into a table.
-      ? make_collapsible_div(
-        enum_name
-        , make_table_rows_from_obj(enum_name, enum_arg, columnHeadings[typeOf(enum_arg)], depth)
-        , depth
+// Records tables
+// Each column can be sorted by clicking its header, and hidden using the column selector above the table (see
+// records.js).  A cell containing a nested table holds both the expand/collapse buttons and the collapsible DIV, and
+// names its column in the data-bfu-column attribute so that the client can work out the key path of the nested rows
+var isRecordRow = node => !isNull(node.parent) && !isNull(node.parent.columns)
+
+var column_count = node => isNull(node.columns) ? 3 : node.columns.length + 1
+
+var sortable_th = txt => as_th(["class='bfu-th bfu-sortable'", "data-bfu-action='sort'"], as_text(txt))
+
+var make_records_hdr_row = node => as_tr([], [sortable_th(node.heading)].concat(node.columns.map(sortable_th)).join(""))
+
+var column_selector =
+  columns =>
+    as_div(["class='bfu-columns'"]
+    , ["Columns:"]
+        .concat(columns.map((column, idx) =>
+          as_label([]
+          , `${as_input(["type='checkbox'", "checked", `data-column='${idx + 1}'`, "data-bfu-action='columns'"])} ${as_text(column)}`
+          )
+        ))
+        .join(" ")
+    )
+
+// The element's own id is placed on its row so that references to the element can link to it
+var make_record_row =
+  (node, columns, ctx) =>
+    (node =>
+      as_tr([{ class : "bfu-record", id : node.id }]
+      , [as_td(["class='bfu-td'"], as_text(node.key))]
+          .concat(columns.map(column => make_record_cell(record_cell(node, column), column, ctx)))
+          .join("")
       )
-      // Nope, so if its a function then suppress the source code, else just return the value
-      : isFunction(enum_arg)
-        ? "Source code suppressed"
-        : enum_arg
+    )
+    (with_element_id(node, ctx))
+
+var make_record_cell =
+  (cell, column, ctx) =>
+    isUndefined(cell)
+    ? as_td(["class='bfu-td'"], "")
+    : (cell =>
+        cell.kind === "table"
+        ? as_td(["class='bfu-td'", { "data-bfu-column" : column }], make_type_html(cell) + make_value_html(cell, ctx))
+        : as_td(["class='bfu-td'"], make_value_html(cell, ctx))
+      )
+      (with_element_id(cell, ctx))
 
 // *********************************************************************************************************************
-// Create a content DIV containing a header and an object table
-var create_content_table =
-  (hdr, obj) =>
-    (obj_name =>
-      as_div(
-        ["class='bfu-content'"],
-        [as_h2(["class='bfu-header2'"], hdr)
-          , render_value(obj, obj_name, 0)
+// Lazy rendering
+// Tables that have not yet been generated are passed to the client as JSON.  The client-side coding in lazy_render.js
+// transforms this JSON into exactly the same HTML that would otherwise have been generated here.
+//
+// A table is described by an object containing:
+//   i : The element id of the table's collapsible DIV (minus the "-content" suffix)
+//   d : The table's depth
+//   h : The heading of the table's first column
+//   l : The key path used to name the table's expand and collapse buttons, escaped for use in an attribute
+//   k : Set to 1 if the table holds only keys (as in a Set)
+//   p : The number of rows shown each time the user asks to see more rows
+//   r : The table's visible rows
+//   m : The table's remaining rows (only present if there are more rows than the max_rows option allows)
+//   o : The number of rows left out by the max_rows_sent option (only present if some rows were left out)
+//
+//   c : The table's column headings (only present if the table is displayed as records)
+//
+// Each row is an array of HTML strings [key, type, value].  If the row's value is a nested table, then value is the
+// object describing that table instead.  If the parent table holds only keys, the row contains only the key
+//
+// The rows of a records table are instead objects containing:
+//   i : The element id of the row (only present if the element is not empty)
+//   k : The HTML of the Index column
+//   c : The cells of the remaining columns.  Each cell is either an HTML string, or if the cell contains a nested table,
+//       an array [column, type, table]
+var lazy_table =
+  (node, ctx) =>
+    (visible_count =>
+      Object.assign(
+        { i : node.id
+        , d : node.depth
+        , h : as_text(node.heading)
+        , l : escape_attr(toggle_label(node))
+        , k : node.key_only ? 1 : 0
+        , p : ctx.opts.max_rows
+        , r : lazy_rows(node.children.slice(0, visible_count), node, ctx)
+        }
+      , node.children.length > visible_count
+        ? { m : lazy_rows(node.children.slice(visible_count), node, ctx) }
+        : {}
+      , node.omitted > 0 ? { o : node.omitted } : {}
+      , isNull(node.columns) ? {} : { c : node.columns.map(as_text) }
+      )
+    )
+    (visible_row_count(node, ctx.opts))
+
+var lazy_rows =
+  (nodes, table_node, ctx) =>
+    nodes.map(node =>
+      (node =>
+        !isNull(table_node.columns)
+        ? Object.assign(isUndefined(node.id) ? {} : { i : node.id }
+          , { k : as_text(node.key)
+            , c : table_node.columns.map(column => lazy_record_cell(record_cell(node, column), column, ctx))
+            }
+          )
+        : table_node.key_only
+          ? [as_text(node.key)]
+          : [ as_text(node.key)
+            , as_text(type_text(node))
+            , node.kind === "table" ? lazy_table(node, ctx) : make_value_html(node, ctx)
+            ]
+      )
+      (with_element_id(node, ctx))
+    )
+
+var lazy_record_cell =
+  (cell, column, ctx) =>
+    isUndefined(cell)
+    ? ""
+    : (cell =>
+        cell.kind === "table"
+        ? [as_text(column), as_text(type_text(cell)), lazy_table(cell, ctx)]
+        : make_value_html(cell, ctx)
+      )
+      (with_element_id(cell, ctx))
+
+// JSON placed inside a SCRIPT element must not contain anything that could close that element
+var as_script_json =
+  data =>
+    JSON.stringify(data)
+      .replace(/</g, "\\u003c")
+      .replace(/\u2028/g, "\\u2028")
+      .replace(/\u2029/g, "\\u2029")
+
+var lazy_data_script = data => as_script(["type='application/json'", "class='bfu-lazy'"], as_script_json(data))
+
+// A collapsible DIV whose table will be generated by the client
+var make_lazy_div = (div_name, table) =>
+  as_div([`id="${escape_attr(div_name)}-content"`, "hidden"], lazy_data_script(table))
+
+// A table row containing the buttons that generate the table's remaining rows
+var make_more_rows_row =
+  (rows, page, colspan) =>
+    as_tr(["class='bfu-more'"]
+    , as_td(["class='bfu-td'", `colspan='${colspan}'`]
+      , [lazy_data_script(rows)
+        , as_button([`type='button'`, `data-page='${page}'`, "data-bfu-action='more'"], `Show ${Math.min(page, rows.length)} more`)
+        , as_button([`type='button'`, "data-bfu-action='all'"], `Show all ${rows.length} remaining`)
         ].join("")
       )
     )
-    // Replace spaces with dashes in the object's text name and convert to lowercase.
-    // This value is then used as the id of the collapsible DIV containing the table
-    (hdr.replace(/\s+/g, '-').toLowerCase())
+
+// A table row counting the rows that were not included in the output.  It is also a "bfu-more" row, so the client
+// does not treat it as a data row
+var make_omitted_row =
+  (count, colspan) =>
+    as_tr(["class='bfu-more bfu-omitted'"], as_td(["class='bfu-td'", `colspan='${colspan}'`], `… ${count} more not included`))
+
+// *********************************************************************************************************************
+// Object diff
+// Two objects are compared using the same type rules as the table renderer, then displayed as a single table in which
+// each row has one of the following states:
+// * added     : The property exists only in the 'after' object
+// * removed   : The property exists only in the 'before' object
+// * changed   : The property exists in both objects but its value differs.  If both values are expandable and of the
+//               same type, then the row contains a nested diff table that is initially expanded.  Otherwise, the
+//               property is displayed as two rows: the 'before' value followed by the 'after' value.  If the 'after'
+//               value has already been rendered, the row contains a link to it instead
+// * unchanged : The property is displayed as normal (I.E. collapsed)
+var diff_states = ["added", "removed", "changed"]
+
+// Deep comparison of two values
+// 'active' holds the pairs of objects currently being compared; a pair encountered again (through a circular
+// reference) is assumed to be equal, since any difference will be found elsewhere in the comparison
+var values_equal =
+  (before, after, ctx, active = new Map()) => {
+    var result, after_entries
+
+    if (Object.is(before, after)) {
+      result = true
+    }
+    else if (type_label(before) !== type_label(after) || isExpandable(before) !== isExpandable(after) || isFunction(before)) {
+      result = false
+    }
+    else if (!isExpandable(before)) {
+      result = String(format_value(before, ctx.opts)) === String(format_value(after, ctx.opts))
+    }
+    else if (active.get(before) === after) {
+      result = true
+    }
+    else {
+      active.set(before, after)
+
+      after_entries = new Map(displayed_entries(after, ctx))
+      result = sizeOf(before, ctx.opts) === sizeOf(after, ctx.opts) &&
+        displayed_entries(before, ctx).every(([key, val]) =>
+          after_entries.has(key) && values_equal(val, after_entries.get(key), ctx, active)
+        ) &&
+        after_entries.size === displayed_entries(before, ctx).length
+
+      active.delete(before)
+    }
+
+    return result
+  }
+
+// Merge the entries of two expandable objects of the same type into a list of { key, state, before, after } objects
+var diff_entries =
+  (before, after, ctx) => {
+    var before_entries = new Map(displayed_entries(before, ctx))
+    var after_entries  = new Map(displayed_entries(after, ctx))
+    var keys = [...before_entries.keys()].concat([...after_entries.keys()].filter(key => !before_entries.has(key)))
+
+    return (rendererOf(after).sortable ? sort_own_keys(keys, ctx.opts) : keys)
+      .map(key => ({
+        key    : key
+      , before : before_entries.get(key)
+      , after  : after_entries.get(key)
+      , state  : !after_entries.has(key)
+                 ? "removed"
+                 : !before_entries.has(key)
+                   ? "added"
+                   : values_equal(before_entries.get(key), after_entries.get(key), ctx) ? "unchanged" : "changed"
+      }))
+  }
+
+var isDiffable = (before, after) => isExpandable(before) && isExpandable(after) && type_label(before) === type_label(after)
+
+var diff_row_props = (...states) => [`class='${states.map(state => `bfu-${state}`).join(" ")}'`]
+
+var make_diff_rows =
+  (parent, entry, ctx) => {
+    var prop_row = (val, row_props) => make_table_row(traverse_prop(parent, entry.key, val, ctx), ctx, parent.key_only, row_props)
+    var diff_node
+
+    switch (entry.state) {
+      case "added":
+        return prop_row(entry.after, diff_row_props("added"))
+
+      case "removed":
+        return prop_row(entry.before, diff_row_props("removed"))
+
+      case "changed":
+        // If the 'after' value has already been rendered (for instance, through a circular reference), then link to it
+        if (isExpandable(entry.after) && reference_kind(entry.after, ctx)) {
+          return prop_row(entry.after, diff_row_props("changed"))
+        }
+        // Redacted values are never compared property by property, as this would display their contents
+        else if (isDiffable(entry.before, entry.after) && parent.depth < ctx.opts.depth_limit &&
+                 !isRedacted(new_node(parent, entry.key, entry.after), ctx.opts.redact)) {
+          diff_node = with_element_id(as_table_node(new_node(parent, entry.key, entry.after), parent.depth + 1, ctx.opts), ctx)
+
+          return as_tr(diff_row_props("changed")
+          , [as_td(["class='bfu-td'"], as_text(entry.key))
+            , as_td(["class='bfu-td'"]
+              , ((type_col, label) =>
+                  expand_button_div(diff_node.id, type_col, label, true) + collapse_button_div(diff_node.id, type_col, label, false)
+                )
+                (as_text(type_text(diff_node)), toggle_label(diff_node))
+              )
+            , as_td(["class='bfu-td'"], render_diff_table(diff_node, entry.before, ctx))
+            ].join("")
+          )
+        }
+        else {
+          return [
+            prop_row(entry.before, diff_row_props("changed", "before"))
+          , prop_row(entry.after,  diff_row_props("changed", "after"))
+          ].join("")
+        }
+
+      default:
+        return prop_row(entry.after)
+    }
+  }
+
+// The diff table node holds the 'after' object, and is recorded as the node in which that object was displayed so that
+// circular and shared references within the unchanged parts of the diff link back to this table
+var render_diff_table =
+  (diff_node, before, ctx) => {
+    var after = diff_node.value
+
+    ctx.seen.set(after, diff_node)
+    ctx.active.add(after)
+
+    var table_rows = [make_table_hdr_row(diff_node.heading, diff_node.depth, diff_node.key_only)]
+      .concat(diff_entries(before, after, ctx).map(entry => make_diff_rows(diff_node, entry, ctx)))
+      .join("")
+
+    ctx.active.delete(after)
+    return make_collapsible_div(diff_node.id, table_rows, diff_node.depth, true)
+  }
+
+// Values that cannot be compared property by property are wrapped in an object so that they can be displayed as a
+// before/after pair of rows
+var render_diff =
+  (title, before, after, root_id, ctx) =>
+    isDiffable(before, after)
+    ? render_diff_table(Object.assign(as_table_node(new_node(null, plain_text(title), after), 0, ctx.opts), { id : root_id }), before, ctx)
+    : render_diff(title, { value : before }, { value : after }, root_id, ctx)
+
+var diff_legend =
+  as_div(["class='bfu-legend'"], diff_states.map(state => as_span([`class='bfu-${state}'`], state)).join(" "))
+
+// *********************************************************************************************************************
+// Create a content DIV containing a header and an object table
+// The title may be either plain text (which will be escaped) or trusted HTML created by raw_html()
+// The render_table function receives the element id of the top-level table and returns the HTML of that table
+var create_content_table =
+  (title, ctx, render_table) => join_chunks(content_table_chunks(title, ctx, root_id => [render_table(root_id)]))
+
+// The render_chunks function instead returns the HTML of the top-level table as a sequence of chunks
+var content_table_chunks =
+  function* (title, ctx, render_chunks) {
+    var root_id = new_element_id(ctx, plain_text(title))
+
+    yield as_div(["class='bfu-content'"].concat(isNull(ctx.opts.persist) ? [] : [`data-bfu-persist='${ctx.opts.persist}'`]))
+      + as_h2(["class='bfu-header2'", `id='${root_id}-title'`], as_text(make_title(title, ctx.opts)))
+      + (ctx.opts.toolbar ? toolbar : "")
+
+    yield* render_chunks(root_id)
+    yield "</div>"
+  }
+
+// The plain text of a title (or of a value formatted as raw_html()) with any HTML tags removed
+// The plain text of a title is used as the first element of each property path
+var plain_text = txt => isRawHtml(txt) ? txt.html.replace(/<[^>]*>/g, "") : String(txt)
+
+// Append the function suppression notice to a title without losing track of whether that title is trusted HTML
+var make_title =
+  (title, opts) =>
+    (notice => isRawHtml(title) ? raw_html(`${title.html}${notice}`) : `${title}${notice}`)
+    (opts.suppress_fns ? " (Functions suppressed)" : "")
+
+// Traverse an object, then transform it into HTML.  The top-level table is generated one row at a time
+var render_chunks =
+  (el, root_id, ctx) =>
+    (node => node.kind === "table" ? table_div_chunks(node, ctx) : [make_value_html(node, ctx)])
+    (Object.assign(traverse(el.title, el.value, ctx), { id : root_id }))
+
+// A Content-Security-Policy only allows the generated SCRIPT and STYLE elements if they carry its nonce
+var nonce_props = opts => isNull(opts.nonce) ? [] : [{ nonce : opts.nonce }]
+
+// Embed one of the client-side coding files
+var client_script =
+  (file_name, opts) =>
+    as_script(["type='text/javascript'"].concat(nonce_props(opts)), fs.readFileSync(`${__dirname}/${file_name}`).toString())
 
 // Argument tvArray must be an array in which each element is an object containing:
 // { 
 //   title : "<Some text string to describe this object>"
 // , value : the_object_itself
 // }
+// All the objects in tvArray share the same render context so that an object appearing in more than one of them is
+// rendered only once
+// Each element of tvArray is transformed into a content DIV by the make_content_table function
+// The generated HTML contains no inline event handlers or style attributes, so it can be used on a page protected by a
+// Content-Security-Policy.  Each control instead names its action in a data-bfu-action attribute (see
+// expand_collapse.js), and if the nonce option is set, it is added to the generated SCRIPT and STYLE elements
 var create_content =
-  tvArray =>
-    isArray(tvArray) && tvArray.length > 0
-      ? as_div([]
-        // Parent DIV contains the style sheet
-        , [as_style([], fs.readFileSync(__dirname + "/bfu-style.css").toString())
-          // Transform one or more objects
-          , tvArray.map(el => create_content_table(`${el.title}${suppress_fns ? " (Functions suppressed)" : ""}`, el.value)).join("")
-          // Image source data and coding to dynamically that data to each expnd/collapse icon's src property
-          , as_script([], image_src_data)
-          // Expand and collapse functions
-          , as_script(["type='text/javascript'"], fs.readFileSync(__dirname + "/expand_collapse.js").toString())
-        ].join("")
-      )
-      : as_div([], "Nothing to see here.  Move along...")
+  (tvArray, ctx, make_content_table) =>
+    join_chunks(
+      isUndefined(make_content_table)
+      ? content_chunks(tvArray, ctx)
+      : content_chunks(tvArray, ctx, el => [make_content_table(el)])
+    )
+
+// The HTML of create_content as a sequence of chunks, each object's table being generated one top-level row at a time
+var content_chunks =
+  function* (tvArray, ctx, make_content_chunks = el => content_table_chunks(el.title, ctx, root_id => render_chunks(el, root_id, ctx))) {
+    if (!isArray(tvArray) || tvArray.length === 0) {
+      yield as_div([], "Nothing to see here.  Move along...")
+      return
+    }
+
+    // Parent DIV contains the style sheet
+    yield as_div([]) + as_style(nonce_props(ctx.opts), fs.readFileSync(__dirname + "/bfu-style.css").toString())
+
+    // Optional search bar
+    if (ctx.opts.search) {
+      yield search_bar
+    }
+
+    // Transform one or more objects
+    for (var el of tvArray) {
+      yield* make_content_chunks(el)
+    }
+
+    yield [
+      // Expand, collapse and reveal functions, and the event listeners for every control
+      client_script("expand_collapse.js", ctx.opts)
+      // Client-side table generation is only needed if some tables have not been generated on the server
+    , ctx.opts.lazy || !isNull(ctx.opts.max_rows) ? client_script("lazy_render.js", ctx.opts) : ""
+      // Search functions
+    , ctx.opts.search ? client_script("search.js", ctx.opts) : ""
+      // Records table functions
+    , ctx.records ? client_script("records.js", ctx.opts) : ""
+      // Toolbar, keyboard navigation and persisted state functions
+    , ctx.opts.toolbar || !isNull(ctx.opts.persist) ? client_script("toolbar.js", ctx.opts) : ""
+    , "</div>"
+    ].join("")
+  }
+
+// *********************************************************************************************************************
+// Search bar
+// The search functions in search.js find the output block to be searched by looking for the parent of this DIV
+var search_bar =
+  as_div(["class='bfu-search'"]
+  , [as_input(["type='search'", "placeholder='Search keys and values'", "aria-label='Search keys and values'"
+                , "data-bfu-action='search'"])
+    , as_button(["type='button'", "data-bfu-action='search-previous'"], "Previous")
+    , as_button(["type='button'", "data-bfu-action='search-next'"], "Next")
+    , as_span(["class='bfu-search-count'"], "")
+    ].join("")
+  )
+
+// *********************************************************************************************************************
+// Toolbar
+// The toolbar functions in toolbar.js find the object's table by looking for the .bfu-content DIV containing the button
+var toolbar =
+  as_div(["class='bfu-toolbar'"]
+  , [as_button(["type='button'", "data-bfu-action='expand-all'"], "Expand all")
+    , as_button(["type='button'", "data-bfu-action='collapse-all'"], "Collapse all")
+    , as_button(["type='button'", "data-bfu-action='expand-to-level'"], "Expand to level")
+    , as_input(["type='number'", "class='bfu-level'", "min='1'", "value='2'", "aria-label='Level'"])
+    ].join("")
+  )
 
 // *********************************************************************************************************************
 // Expandable/Collapsible content
-// Do not add the src parameter to the expand/collapse arrow icons here as this will duplicate the large Base64 encoded
-// value every time one of these icons is generated.  Instead, the src of each icon will be added dynamically by the
-// client-side JavaScript code included at the end of the parent generated DIV element
-var arrow_right = as_img([`name='${arrow_right_icon_name}'`])
-var arrow_down  = as_img([`name='${arrow_down_icon_name}'`])
+// Each expandable value has an expand and a collapse control, only one of which is displayed at a time.  Clicking
+// anywhere in the control (including the type text) toggles the table, but only the button is announced to assistive
+// technology.  The arrow icons are drawn by the style sheet
+// Each button is named after the key path of the value it controls (E.G. "Expand env.PATH"), so that the buttons of
+// different tables can be told apart
+var toggle_label = node => node.path.length > 1 ? node.path.slice(1).map(String).join(".") : path_text(node)
 
-var arrow_content = (obj_type, arrow_type) => [obj_type, as_button(["type='button'"], arrow_type)].join("")
+var arrow_button =
+  (name, label, expanded) =>
+    as_button(
+      [ "type='button'"
+      , "class='bfu-toggle'"
+      , `aria-expanded='${expanded}'`
+      , `aria-controls='${escape_attr(name)}-content'`
+      , `aria-label='${expanded ? "Collapse" : "Expand"} ${escape_attr(label)}'`
+      ]
+    , ""
+    )
 
 var arrow_properties =
   (name, direction, action, hidden) =>
     [`class='bfu-arrow-${direction}'`
-      , `id='${name}-arrow-${direction}'`
-      , `onclick="${action}('${name}')"`
-      , hidden ? "style='display:none'" : ""
+      , `id='${escape_attr(name)}-arrow-${direction}'`
+      , `data-bfu-action='${action}'`
+      , hidden ? "hidden" : ""
     ]
 
+// By default, the expand button is displayed and the collapse button is hidden
 var expand_button_div =
-  (obj_name, obj_type) =>
-    as_div(arrow_properties(obj_name, "right", "expand", false), arrow_content(obj_type, arrow_right))
+  (obj_name, obj_type, label, hidden = false) =>
+    as_div(arrow_properties(obj_name, "right", "expand", hidden), obj_type + arrow_button(obj_name, label, false))
 
 var collapse_button_div =
-  (obj_name, obj_type) =>
-    as_div(arrow_properties(obj_name, "down", "collapse", true), arrow_content(obj_type, arrow_down))
+  (obj_name, obj_type, label, hidden = true) =>
+    as_div(arrow_properties(obj_name, "down", "collapse", hidden), obj_type + arrow_button(obj_name, label, true))
 
 
 // *********************************************************************************************************************
-// Partial function to create a date/time stamp for a given timezone offset in minutes
-var datetime_by_timezone =
-  offset =>
-    date =>
-      new Date(date.getTime() + (date.getTimezoneOffset() * 60000) + (60000 * offset))
+// Output formats
+// Besides HTML, a traversed object can be transformed into any of the formats held here.  Each format is a function
+// that receives the top-level node returned by the traversal and the rendering options, and returns a string
+var output_formats = new Map()
+
+// Registering a second format with the same name replaces the first one
+var register_format =
+  (name, format_fn) => {
+    output_formats.set(name, format_fn)
+    return format_fn
+  }
+
+// Traverse an object using the given options, then transform it into the named format
+var render_as =
+  (format_name, title, value, opts) =>
+    output_formats.has(format_name)
+    ? output_formats.get(format_name)(traverse(title, value, new_render_context(opts)), opts)
+    : (() => { throw new Error(`Unknown output format "${format_name}"`) })()
+
+// - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+// Plain text tree
+// Each row is displayed on its own line, with box drawing characters showing how the rows are nested.  If the color
+// option is set, ANSI escape codes are used to colour the keys, types and values
+var ansi_colors = {
+  key     : 36    // Cyan
+, type    : 90    // Grey
+, string  : 32    // Green
+, number  : 33    // Yellow
+, keyword : 35    // Magenta
+, note    : 2     // Faint
+}
+
+var ansi = (opts, color, txt) => opts.color && !isNull(color) ? `\u001b[${ansi_colors[color]}m${txt}\u001b[0m` : txt
+
+// Control characters (such as newlines) would break the layout of the tree, so they are displayed as escape sequences
+var text_line = txt => plain_text(txt).replace(/[\u0000-\u001f]/g, ch => JSON.stringify(ch).slice(1, -1))
+
+// Values displayed using their renderer's format function (such as Dates) are not coloured
+var value_color =
+  val =>
+    typeof val === "string"
+    ? "string"
+    : isNumeric(val)
+      ? "number"
+      : isNullOrUndef(val) || typeof val === "boolean"
+        ? "keyword"
+        : null
+
+var text_value =
+  (node, opts) =>
+    node.kind === "table"
+    ? ""
+    : node.kind === "value"
+      ? ` = ${ansi(opts, value_color(node.value), text_line(node.text))}`
+      : node.kind === "ref"
+        ? ` ${ansi(opts, "note", text_line(reference_label(node)))}`
+        : ` ${ansi(opts, "note", text_line(node.text))}`
+
+// If the row belongs to an object that stores only keys (such as a Set), then only the key is displayed
+var text_row =
+  (node, opts, key_only) =>
+    key_only
+    ? ansi(opts, "key", text_line(node.key))
+    : `${ansi(opts, "key", text_line(node.key))}: ${ansi(opts, "type", text_line(type_text(node)))}${text_value(node, opts)}`
+
+// Transform the rows of a table node into an array of lines.  If the max_rows option is set, only that many rows are
+// displayed, followed by a line that counts the remaining rows
+var text_table_lines =
+  (node, opts, indent) => {
+    var visible = node.children.slice(0, visible_row_count(node, opts))
+    var notes   = more_row_notes(node, node.children.length - visible.length)
+
+    return visible
+      .map((child, idx) =>
+        (last =>
+          [`${indent}${last ? "└─ " : "├─ "}${text_row(child, opts, node.key_only)}`]
+            .concat(child.kind === "table" ? text_table_lines(child, opts, indent + (last ? "   " : "│  ")) : [])
+        )
+        (idx === visible.length - 1 && notes.length === 0)
+      )
+      .reduce((acc, lines) => acc.concat(lines), [])
+      .concat(notes.map((note, idx) => `${indent}${idx === notes.length - 1 ? "└─ " : "├─ "}${ansi(opts, "note", note)}`))
+  }
 
-// Date/Time functions for some selected time zones
-var datetime_pst = datetime_by_timezone(-480)      // US Pacific Time
-var datetime_est = datetime_by_timezone(-300)      // US Eastern Standard Time
-var datetime_gmt = datetime_by_timezone(0)         // Greenwich Mean Time
-var datetime_cet = datetime_by_timezone(60)        // Central European Time
-var datetime_ist = datetime_by_timezone(330)       // India Standard Time
+var as_text_tree =
+  (root, opts) =>
+    [text_row(Object.assign({}, root, { key : make_title(root.key, opts) }), opts, false)]
+      .concat(root.kind === "table" ? text_table_lines(root, opts, "") : [])
+      .join("\n")
 
+// - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+// GitHub flavoured Markdown
+// Markdown tables cannot be nested, so each table is displayed in its own section headed by the table's property path.
+// A row whose value is a nested table refers to the section in which that table can be found
+var md_text =
+  txt =>
+    escape_html(plain_text(txt))
+      .replace(/[\\`*_~\[\]|]/g, ch => `\\${ch}`)
+      .replace(/\r?\n/g, "<br>")
+
+var md_row = cells => `| ${cells.join(" | ")} |`
+
+var md_table = (headings, rows) => [md_row(headings), md_row(headings.map(() => "---"))].concat(rows.map(md_row))
+
+var md_value =
+  node =>
+    node.kind === "table"
+    ? `*See ${md_text(path_text(node))}*`
+    : md_text(node.kind === "ref" ? reference_label(node) : node.text)
+
+// Transform a table node and all of its nested tables into an array of sections
+var md_sections =
+  (node, opts, heading) => {
+    var visible = node.children.slice(0, visible_row_count(node, opts))
+    var notes   = more_row_notes(node, node.children.length - visible.length).map(note => `*${note}*`)
+
+    return [
+      [heading
+      , ""
+      ].concat(
+        node.size === 0
+        ? [md_text(empty_placeholder(node.value))]
+        : !isNull(node.columns)
+          ? md_table([md_text(node.heading)].concat(node.columns.map(md_text))
+            , visible
+                .map(child =>
+                  [md_text(child.key)].concat(node.columns.map(column =>
+                    (cell => isUndefined(cell) ? "" : md_value(cell))(record_cell(child, column))
+                  ))
+                )
+                .concat(notes.map(note => [note].concat(node.columns.map(() => "")))))
+          : node.key_only
+            ? md_table([md_text(node.heading)]
+              , visible.map(child => [md_text(child.key)]).concat(notes.map(note => [note])))
+            : md_table([md_text(node.heading), "Type", "Value"]
+              , visible.map(child => [md_text(child.key), md_text(type_text(child)), md_value(child)])
+                  .concat(notes.map(note => ["", "", note])))
+      ).join("\n")
+    ].concat(
+      // The nested tables of a records table are found in the cells of each record
+      (isNull(node.columns) ? visible : visible.reduce((acc, child) => acc.concat(child.children || []), []))
+        .filter(child => child.kind === "table")
+        .map(child => md_sections(child, opts, `### ${md_text(path_text(child))}`))
+        .reduce((acc, sections) => acc.concat(sections), [])
+    )
+  }
+
+var as_markdown =
+  (root, opts) =>
+    (heading =>
+      root.kind === "table"
+      ? md_sections(root, opts, heading).join("\n\n")
+      : [heading, "", ...md_table(["Type", "Value"], [[md_text(type_text(root)), md_value(root)]])].join("\n")
+    )
+    (`## ${md_text(make_title(root.key, opts))}`)
+
+// - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+// JSON with type annotations
+// Every value is described by an object containing its type, so that values JSON cannot represent (such as undefined,
+// BigInts, Dates or Maps) can still be told apart:
+// * Tables          : { type, size, entries }.  Each entry holds the key followed by the description of its value.  If
+//                     the max_rows option hides some entries, their number is given as 'more'
+// * Key-only tables : As above, but each entry is { key, type } (as in a Set)
+// * Empty objects   : { type, size : 0, entries : [] }
+// * Depth limited   : { type, size, truncated : true }
+// * References      : { type, ref, path } where ref is "Circular" or "Shared" and path locates the first occurrence
+// * Functions       : { type }
+// * Redacted values : { type, redacted : true }
+// * Other values    : { type, value }.  Values other than strings, finite numbers, booleans and null are given as their
+//                     displayed text, and undefined values have no value property
+// In inspect mode, any flags are given as an array after the type
+var json_scalar =
+  (val, text) =>
+    isNumber(val)
+    ? Number.isFinite(val) ? val : String(val)
+    : isNull(val) || isUndefined(val) || typeof val === "string" || typeof val === "boolean"
+      ? val
+      : plain_text(text)
+
+var json_key = key => isNumber(key) || typeof key === "string" ? key : plain_text(format_value(key))
+
+var json_node =
+  (node, opts) =>
+    Object.assign({ type : node.type }
+    , node.flags.length === 0 ? {} : { flags : node.flags }
+    , node.kind === "table"
+      ? (visible =>
+          Object.assign(
+            { size    : node.size
+            , entries : visible.map(child =>
+                node.key_only
+                ? { key : json_key(child.key), type : type_label(child.key) }
+                : Object.assign({ key : json_key(child.key) }, json_node(child, opts))
+              )
+            }
+          , node.children.length > visible.length ? { more : node.children.length - visible.length } : {}
+          , node.omitted > 0 ? { omitted : node.omitted } : {}
+          )
+        )
+        (node.children.slice(0, visible_row_count(node, opts)))
+      : node.kind === "empty"
+        ? { size : 0, entries : [] }
+        : node.kind === "truncated"
+          ? { size : sizeOf(node.value, opts), truncated : true }
+          : node.kind === "ref"
+            ? { ref : node.ref, path : path_text(node.target) }
+            : node.kind === "function"
+              ? {}
+              : node.kind === "redacted"
+                ? { redacted : true }
+                : { value : json_scalar(node.value, node.text) }
+    )
+
+var as_typed_json = (root, opts) => JSON.stringify(Object.assign({ title : root.key }, json_node(root, opts)), null, 2)
+
+register_format("text",     as_text_tree)
+register_format("markdown", as_markdown)
+register_format("json",     as_typed_json)
 
 // *********************************************************************************************************************
-// Test using the NodeJS 'process' object
-// suppress_fns = false
-// fs.writeFileSync(
-//   "test.html"
-//   , as_html(
-//     []
-//     , as_body([]
-//       , [as_h1([], "Function called at: " + datetime_gmt(new Date()))
-//         , create_content([{ title: "NodeJS process", value: process }])
-//       ].join("")
-//     )
-//   )
-// )
+// Asynchronous values
+// The async entry points first search the objects being displayed for Promises and async iterables, await them, then
+// render the objects through the normal table path with each one replaced by a description of its outcome:
+// * A Promise becomes a table holding its [[PromiseState]] and, unless it is still pending, its [[PromiseResult]]
+// * An async iterable becomes a table holding the items it produced.  At most await_limit items are read, and if the
+//   iterable was stopped early, a [[Stopped]] row says why.  An error thrown by the iterable becomes an [[Error]] row
+// All the values found during one call share a single deadline of await_timeout milliseconds.  Any value that has not
+// settled by then is displayed as it stands.  Values found inside awaited values are awaited in their turn, down to
+// the depth_limit.  Node streams are async iterable, but reading one consumes it, so streams are left alone
+var isAsyncIterable =
+  x =>
+    !isNullOrUndef(x) && typeof x === "object" && isFunction(x[Symbol.asyncIterator]) && !(x instanceof Stream)
+
+// Resolves to { state, value } where state is "fulfilled", "rejected" or "pending" if the deadline passed first
+var settle_before =
+  (promise, deadline) => {
+    var timer
+
+    return Promise.race([
+      Promise.resolve(promise).then(
+        value  => ({ state : "fulfilled", value : value })
+      , reason => ({ state : "rejected",  value : reason })
+      )
+    , new Promise(resolve => timer = setTimeout(() => resolve({ state : "pending" }), Math.max(deadline - Date.now(), 0)))
+    ])
+    .finally(() => clearTimeout(timer))
+  }
+
+var await_promise =
+  (promise, deadline) =>
+    settle_before(promise, deadline)
+      .then(({ state, value }) =>
+        as_awaited("Promise"
+        , [["[[PromiseState]]", state]].concat(state === "pending" ? [] : [["[[PromiseResult]]", value]])
+        )
+      )
+
+// Read an async iterable until it is exhausted, the item limit is reached or the deadline passes.  Each item is passed
+// to on_item as soon as it arrives.  An iterable that is stopped early is asked to release its resources
+var drain_iterable =
+  async (iterable, opts, deadline, on_item) => {
+    var iterator = iterable[Symbol.asyncIterator]()
+    var entries  = []
+    var stopped  = null
+
+    while (isNull(stopped)) {
+      if (entries.length >= opts.await_limit) {
+        stopped = `Item limit of ${opts.await_limit} reached`
+        break
+      }
+
+      var { state, value } = await settle_before(iterator.next(), deadline)
+
+      if (state === "pending") {
+        stopped = `Timed out after ${opts.await_timeout}ms`
+      }
+      else if (state === "rejected") {
+        return as_awaited(typeOf(iterable), entries.concat([["[[Error]]", value]]))
+      }
+      else if (value.done) {
+        break
+      }
+      else {
+        entries.push([entries.length, value.value])
+        on_item(value.value)
+      }
+    }
+
+    if (!isNull(stopped) && isFunction(iterator.return)) {
+      // The iterable may be waiting for an item that never arrives, so its answer is not awaited
+      Promise.resolve().then(() => iterator.return()).catch(() => {})
+    }
+
+    return as_awaited(typeOf(iterable), isNull(stopped) ? entries : entries.concat([["[[Stopped]]", stopped]]))
+  }
+
+// Await every Promise and async iterable found in the given values, then return a Map of each one to the placeholder
+// that describes its outcome.  The values are searched in the same way as they will be displayed
+// A rejected Promise must have a handler before control returns to the event loop, otherwise NodeJS reports an
+// unhandled rejection.  So the values are searched synchronously, and a handler is attached to each Promise as soon as
+// it is found.  The async iterables are only drained once the search is over.  The results of the Promises and the
+// items of the iterables are searched in the same way as soon as they arrive.  All of these run concurrently
+var await_values =
+  async (values, opts) => {
+    var deadline = Date.now() + opts.await_timeout
+    var awaited  = new Map()
+    var visited  = new Set()
+    var tasks    = []
+    var errors   = []
+
+    // Every task handles its own error as soon as it is created, so that a failing task cannot leave the tasks created
+    // after it with nothing waiting for them.  Only the first error is reported once every task has finished
+    var track = task => tasks.push(task.catch(err => { errors.push(err) }))
+
+    var search =
+      (val, depth) => {
+        var iterables = []
+
+        visit(val, depth, iterables)
+        iterables.forEach(([iterable, iterable_depth]) =>
+          track(
+            drain_iterable(iterable, opts, deadline, item => search(item, iterable_depth + 1))
+              .catch(err => as_awaited(typeOf(iterable), [["[[Error]]", err]]))
+              .then(placeholder => settled(iterable, placeholder, iterable_depth))
+          )
+        )
+      }
+
+    var visit =
+      (val, depth, iterables) => {
+        if (isNullOrUndef(val) || typeof val !== "object" || visited.has(val)) {
+          return
+        }
+
+        visited.add(val)
+
+        if (val instanceof Promise) {
+          track(await_promise(val, deadline).then(placeholder => settled(val, placeholder, depth)))
+        }
+        else if (isAsyncIterable(val)) {
+          iterables.push([val, depth])
+        }
+        else if (isExpandable(val) && depth < opts.depth_limit) {
+          displayed_entries(val, { opts : opts }).forEach(([, entry_val]) => visit(entry_val, depth + 1, iterables))
+        }
+      }
+
+    var settled =
+      (val, placeholder, depth) => {
+        awaited.set(val, placeholder)
+
+        if (depth < opts.depth_limit) {
+          placeholder.entries.forEach(([, entry_val]) => search(entry_val, depth + 1))
+        }
+      }
+
+    try {
+      values.forEach(val => search(val, 0))
+    }
+    catch (err) {
+      errors.push(err)
+    }
+
+    // Settling one value can uncover others, so wait until no more are found
+    for (var done = 0; done < tasks.length; ) {
+      var batch = tasks.slice(done)
+
+      done = tasks.length
+      await Promise.all(batch)
+    }
+
+    if (errors.length > 0) {
+      throw errors[0]
+    }
+
+    return awaited
+  }
+
+// *********************************************************************************************************************
+// HTTP debug endpoint
+// A ready-made request handler that displays the incoming request, the NodeJS process object and any other values.  The
+// handler is configured by an object containing:
+// * title          : The title of the HTML page
+// * request        : Display the request's method, URL, headers, query parameters and parsed body
+// * process        : Display the NodeJS process object
+// * values         : An object whose property names are titles, and whose values are either the values to display, or
+//                    functions that receive the request and return (a Promise of) the value to display
+// * guard          : Only respond to requests from a loopback address, or carrying the shared secret
+// * allow_loopback : Respond to requests from a loopback address without the shared secret
+// * secret         : The shared secret, or null if only loopback addresses are allowed
+// * secret_header  : The name of the request header carrying the shared secret
+// * body_limit     : The maximum number of bytes of request body that are read
+// * render         : Rendering options used for every response
+// The response is an HTML page unless the Accept header prefers JSON (show_json) or plain text (show_text)
+var default_debug_options = {
+  title          : "Debug"
+, request        : true
+, process        : true
+, values         : {}
+, guard          : true
+, allow_loopback : true
+, secret         : null
+, secret_header  : "x-bfu-debug-secret"
+, body_limit     : 1024 * 1024
+, render         : {}
+}
+
+// The remote address is taken from the socket, because headers such as X-Forwarded-For can be set by anyone
+var isLoopback =
+  addr => typeof addr === "string" && (/^127\./.test(addr) || /^::ffff:127\./i.test(addr) || addr === "::1")
+
+// A reverse proxy or sidecar on the same host passes on remote requests from a loopback address.  Such requests are
+// recognised by the headers the proxy adds, and are never trusted for their address alone
+var forwarding_headers = ["forwarded", "x-forwarded-for", "x-real-ip"]
+
+var isForwarded = req => forwarding_headers.some(name => !isUndefined(req.headers[name]))
+
+var isLocalRequest = req => isLoopback(req.socket && req.socket.remoteAddress) && !isForwarded(req)
+
+// Both secrets are hashed so that they can be compared in constant time whatever their lengths
+var sha256 = txt => crypto.createHash("sha256").update(txt).digest()
+
+var isSharedSecret =
+  (given, secret) => typeof given === "string" && crypto.timingSafeEqual(sha256(given), sha256(secret))
+
+var isDebugAllowed =
+  (req, debug_opts) =>
+    !debug_opts.guard ||
+    (debug_opts.allow_loopback && isLocalRequest(req)) ||
+    (!isNull(debug_opts.secret) && isSharedSecret(req.headers[debug_opts.secret_header.toLowerCase()], debug_opts.secret))
+
+// - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+// Content negotiation
+// The response types in order of preference when the Accept header rates them equally
+var debug_response_types = ["text/html", "application/json", "text/plain"]
+
+// Each media range in an Accept header is [type, quality]
+var accept_ranges =
+  accept =>
+    accept
+      .split(",")
+      .map(range => range.split(";").map(part => part.trim()))
+      .map(([media, ...params]) =>
+        (q_param => [media.toLowerCase(), isUndefined(q_param) ? 1 : Number(q_param.slice(2)) || 0])
+        (params.find(param => /^q=/i.test(param)))
+      )
+
+// The quality of a response type is that of the most specific media range that matches it
+var type_quality =
+  (ranges, type) =>
+    (match => isUndefined(match) ? 0 : match[1])
+    (["type", "subtype", "any"]
+      .map(specificity =>
+        ranges.find(([media]) =>
+          specificity === "type" ? media === type : specificity === "subtype" ? media === `${type.split("/")[0]}/*` : media === "*/*"
+        )
+      )
+      .find(range => !isUndefined(range))
+    )
+
+// If the client accepts none of the response types, it gets HTML anyway
+var preferred_response_type =
+  accept =>
+    isNullOrUndef(accept) || accept.trim() === ""
+    ? debug_response_types[0]
+    : (ranges =>
+        debug_response_types.reduce(
+          (best, type) => type_quality(ranges, type) > type_quality(ranges, best) ? type : best
+        , debug_response_types[0]
+        )
+      )
+      (accept_ranges(accept))
+
+// - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+// Request body
+// Express and Koa body parsers leave the parsed body on the request.  Otherwise, the body is read here and parsed
+// according to its content type
+var parse_body =
+  (buffer, content_type) =>
+    (media =>
+      /[\/+]json$/.test(media)
+      ? (txt => { try { return JSON.parse(txt) } catch (err) { return txt } })(buffer.toString("utf8"))
+      : media === "application/x-www-form-urlencoded"
+        ? new URLSearchParams(buffer.toString("utf8"))
+        : /^text\/|[\/+]xml$/.test(media)
+          ? buffer.toString("utf8")
+          : buffer
+    )
+    (String(content_type || "").split(";")[0].trim().toLowerCase())
+
+var read_body =
+  (req, limit) =>
+    req.readableEnded
+    ? Promise.resolve(undefined)
+    : new Promise((resolve, reject) => {
+        var chunks = []
+        var size   = 0
+
+        req
+          .on("data", chunk => {
+            size += chunk.length
+
+            if (size <= limit) {
+              chunks.push(chunk)
+            }
+          })
+          .on("end", () =>
+            resolve(
+              size === 0
+              ? undefined
+              : size > limit
+                ? `[Body of ${size} bytes exceeds the limit of ${limit} bytes]`
+                : parse_body(Buffer.concat(chunks), req.headers["content-type"])
+            )
+          )
+          .on("error", reject)
+      })
+
+// Express mounts routers by rewriting req.url, so the original URL is preferred
+var describe_request =
+  (req, body) =>
+    (url => ({
+      method      : req.method
+    , url         : url
+    , httpVersion : req.httpVersion
+    , headers     : req.headers
+    , query       : new URLSearchParams(url.includes("?") ? url.slice(url.indexOf("?") + 1) : "")
+    , body        : body
+    }))
+    (req.originalUrl || req.url || "")
+
+// The objects displayed for one request.  The request body is only read if the request is displayed
+var debug_objects =
+  async (req, get_body, debug_opts) =>
+    [].concat(
+      debug_opts.request ? [{ title : "HTTP request", value : describe_request(req, await get_body()) }] : []
+    , debug_opts.process ? [{ title : "NodeJS process", value : process }] : []
+    , await Promise.all(
+        Object.entries(debug_opts.values)
+          .map(async ([title, val]) => ({ title : title, value : typeof val === "function" ? await val(req) : val }))
+      )
+    )
+
+// Debug output must never be cached
+var debug_headers =
+  type => ({
+    "Content-Type"           : `${type}; charset=utf-8`
+  , "Cache-Control"          : "no-store"
+  , "Vary"                   : "Accept"
+  , "X-Content-Type-Options" : "nosniff"
+  })
+
+var forbidden_response = { status : 403, headers : debug_headers("text/plain"), body : "Forbidden" }
+
+var send_debug_response =
+  (res, response) => {
+    res.writeHead(response.status, response.headers)
+    res.end(response.body)
+  }
+
+// *********************************************************************************************************************
+// Create a renderer that holds its own set of options
+// Renderers are independent of each other, so concurrent requests that need different settings should each use their
+// own renderer (or pass an options object to show_object/show_objects) rather than changing the default renderer
+var createRenderer =
+  options => {
+    var opts = merge_options(default_options, options)
+
+    var show_objects =
+      (tvArray, call_options) =>
+        create_content(tvArray, new_render_context(merge_options(opts, call_options)))
+
+    var show_object = (title, val, call_options) => show_objects([{ title: title, value: val }], call_options)
+
+    // Await any Promises and async iterables in the objects, then display them.  Returns a Promise of the HTML
+    var show_objects_async =
+      async (tvArray, call_options) => {
+        var ctx = new_render_context(merge_options(opts, call_options))
+
+        if (isArray(tvArray)) {
+          ctx.awaited = await await_values(tvArray.map(el => el.value), ctx.opts)
+        }
+
+        return create_content(tvArray, ctx)
+      }
+
+    var show_object_async =
+      (title, val, call_options) => show_objects_async([{ title: title, value: val }], call_options)
+
+    // Return a Readable stream of the HTML, generated one top-level row at a time, so that large objects can be piped
+    // straight into a response
+    var stream_objects =
+      (tvArray, call_options) =>
+        Readable.from(content_chunks(tvArray, new_render_context(merge_options(opts, call_options))), { objectMode : false })
+
+    var stream_object = (title, val, call_options) => stream_objects([{ title: title, value: val }], call_options)
+
+    // Compare two objects and display the differences as a single table
+    var show_diff =
+      (title, before, after, call_options) =>
+        (ctx =>
+          create_content([{ title : title }], ctx, el =>
+            create_content_table(el.title, ctx, root_id => diff_legend + render_diff(el.title, before, after, root_id, ctx))
+          )
+        )
+        (new_render_context(merge_options(opts, call_options)))
+
+    // The NodeJS objects contain secrets (in process.env for instance), so unless some redaction rules have been supplied,
+    // the default rules are used.  Pass { redact : [] } to display everything
+    var with_default_redactions =
+      call_options =>
+        (merged => isNull(merged.redact) ? Object.assign({}, call_options, { redact : default_redactions }) : call_options)
+        (merge_options(opts, call_options))
+
+    // Display an object in one of the registered output formats
+    var render_in_format =
+      (format_name, title, val, call_options) => render_as(format_name, title, val, merge_options(opts, call_options))
+
+    // Build the response of the HTTP debug endpoint.  The process object holds secrets, so the default redaction rules
+    // apply unless the render options supply some other rules
+    var debug_response =
+      async (req, get_body, debug_opts) => {
+        if (!isDebugAllowed(req, debug_opts)) {
+          return forbidden_response
+        }
+
+        var tvArray      = await debug_objects(req, get_body, debug_opts)
+        var call_options = with_default_redactions(debug_opts.render)
+        var type         = preferred_response_type(req.headers.accept)
+
+        return {
+          status  : 200
+        , headers : debug_headers(type)
+        , body    :
+            type === "application/json"
+            ? `[${tvArray.map(el => render_in_format("json", el.title, el.value, call_options)).join(",\n")}]`
+            : type === "text/plain"
+              ? tvArray
+                  .map(el => render_in_format("text", el.title, el.value, Object.assign({}, call_options, { color : false })))
+                  .join("\n\n")
+              : html_page(debug_opts.title, raw_html(show_objects(tvArray, call_options)))
+        }
+      }
+
+    // Request handler for node:http servers and Express.  Errors are passed to Express' next function if there is one
+    var debug_handler =
+      handler_options =>
+        (debug_opts =>
+          (req, res, next) =>
+            debug_response(req, () => isUndefined(req.body) ? read_body(req, debug_opts.body_limit) : Promise.resolve(req.body), debug_opts)
+              .then(response => send_debug_response(res, response))
+              .catch(err =>
+                isFunction(next)
+                ? next(err)
+                : send_debug_response(res, { status : 500, headers : debug_headers("text/plain"), body : "Internal Server Error" })
+              )
+        )
+        (Object.assign({}, default_debug_options, handler_options))
+
+    // Koa middleware.  This responds to every request that reaches it, so mount it on a route
+    var koa_debug_handler =
+      handler_options =>
+        (debug_opts =>
+          async ctx => {
+            var response = await debug_response(ctx.req
+            , () => isUndefined(ctx.request.body) ? read_body(ctx.req, debug_opts.body_limit) : Promise.resolve(ctx.request.body)
+            , debug_opts
+            )
+
+            ctx.status = response.status
+            ctx.set(response.headers)
+            ctx.body   = response.body
+          }
+        )
+        (Object.assign({}, default_debug_options, handler_options))
+
+    return {
+      get_options     : () => Object.assign({}, opts)
+    , set_depth_limit : lim => opts.depth_limit = isValidDepthLimit(lim) ? lim : opts.depth_limit
+    , get_depth_limit : () => opts.depth_limit
+    , show_fns        : () => opts.suppress_fns = false
+    , hide_fns        : () => opts.suppress_fns = true
+    , show_objects    : show_objects
+    , show_object     : show_object
+    , show_diff       : show_diff
+
+    , show_objects_async : show_objects_async
+    , show_object_async  : show_object_async
+    , stream_objects     : stream_objects
+    , stream_object      : stream_object
+    , render_as       : render_in_format
+    , show_text       : (title, val, call_options) => render_in_format("text", title, val, call_options)
+    , show_markdown   : (title, val, call_options) => render_in_format("markdown", title, val, call_options)
+    , show_json       : (title, val, call_options) => render_in_format("json", title, val, call_options)
+
+    , show_nodejs_global  : call_options => show_object("NodeJS global", global, with_default_redactions(call_options))
+    , show_nodejs_process : call_options => show_object("NodeJS process", process, with_default_redactions(call_options))
+
+    , debug_handler     : debug_handler
+    , koa_debug_handler : koa_debug_handler
+    }
+  }
+
+// The renderer used by the functions exported at the top level of this module
+var default_renderer = createRenderer()
+
+// *********************************************************************************************************************
+// Date/Time functions
+// Dates are formatted in a given time zone using Intl.DateTimeFormat, so daylight saving time is taken into account
+// without needing a time zone database.  A time zone is either an IANA time zone name such as "Europe/Berlin", or a
+// fixed offset from UTC in minutes.  Invalid time zone names cause a RangeError to be thrown
+//
+// A format is either the name of one of the datetime_formats, or a pattern containing the following tokens.  Any text
+// inside square brackets is copied as it is
+//   YYYY : Year                MMM : Month name (Jan-Dec)   MM : Month (01-12)    DD  : Day of the month (01-31)
+//   ddd  : Day name (Sun-Sat)  HH  : Hour (00-23)           mm : Minute (00-59)   ss  : Second (00-59)
+//   SSS  : Millisecond         Z   : Offset (+01:00)        ZZ : Offset (+0100)   z   : Zone abbreviation (CET)
+var datetime_formats = {
+  iso     : "YYYY-MM-DD[T]HH:mm:ss.SSSZ"
+, rfc2822 : "ddd, DD MMM YYYY HH:mm:ss ZZ"
+, display : "YYYY-MM-DD HH:mm:ss z (Z)"
+}
+
+var month_names   = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"]
+var weekday_names = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"]
+
+// Creating an Intl.DateTimeFormat object is slow, so each one is kept for reuse
+var datetime_formatters = new Map()
+
+var cached_formatter =
+  (locale, time_zone, options) =>
+    (key =>
+      datetime_formatters.has(key)
+      ? datetime_formatters.get(key)
+      : datetime_formatters.set(key, new Intl.DateTimeFormat(locale, Object.assign({ timeZone : time_zone }, options))).get(key)
+    )
+    (`${locale}|${time_zone}|${Object.keys(options).join()}`)
+
+var formatted_parts =
+  (date, locale, time_zone, options) =>
+    cached_formatter(locale, time_zone, options)
+      .formatToParts(date)
+      .reduce((acc, part) => Object.assign(acc, { [part.type] : part.value }), {})
+
+// Only some locales know the abbreviation of each time zone (E.G. "PDT" is known in en-US, but "CEST" only in en-GB), so
+// each of these locales is tried in turn.  If none of them know an abbreviation, the zone's offset is used instead
+var abbreviation_locales = ["en-US", "en-GB", "en-IN", "en-AU"]
+
+var zone_abbreviation =
+  (date, time_zone) =>
+    (names => names.find(name => !/^(GMT|UTC)[+-]/.test(name)) || names[0])
+    (abbreviation_locales.map(locale => formatted_parts(date, locale, time_zone, { timeZoneName : "short" }).timeZoneName))
+
+var format_offset =
+  (offset, separator) =>
+    `${offset < 0 ? "-" : "+"}${pad2(Math.floor(Math.abs(offset) / 60))}${separator}${pad2(Math.abs(offset) % 60)}`
+
+var pad2 = num => String(num).padStart(2, "0")
+
+// Date.UTC() maps the years 0 to 99 onto 1900 to 1999, so the date is set afterwards
+var utc_date =
+  (year, month, day, ...time) =>
+    (date => (date.setUTCFullYear(year, month, day), date))
+    (new Date(Date.UTC(2000, 0, 1, ...time)))
+
+// The date and time in the given time zone is held in a Date object whose UTC fields are the local fields.  This Date
+// object must never be used for anything else because it does not represent the real point in time
+// Older versions of NodeJS ignore the hourCycle option, and with hour12 switched off, display midnight as hour 24 of the
+// same day, so hour 24 is treated as 0
+// Intl counts years within an era, so 1 BC (the year 0) is returned as year 1 of the era "BC"
+var zoned_datetime =
+  (date, time_zone) =>
+    isNumber(time_zone)
+    ? { local        : new Date(date.getTime() + time_zone * 60000)
+      , offset       : time_zone
+      , abbreviation : time_zone === 0 ? "UTC" : `UTC${format_offset(time_zone, ":")}`
+      }
+    : (fields =>
+        (local => ({
+          local        : local
+        , offset       : Math.round((local.getTime() - date.getTime()) / 60000)
+        , abbreviation : zone_abbreviation(date, time_zone)
+        }))
+        (utc_date(/^B/.test(fields.era) ? 1 - fields.year : +fields.year, fields.month - 1, fields.day, fields.hour % 24, fields.minute, fields.second, date.getUTCMilliseconds()))
+      )
+      (formatted_parts(date, "en-US", time_zone, {
+        hour12 : false, era : "short", year : "numeric", month : "numeric", day : "numeric", hour : "numeric", minute : "numeric"
+      , second : "numeric"
+      }))
+
+var datetime_tokens = {
+  YYYY : dt => (year => `${year < 0 ? "-" : ""}${String(Math.abs(year)).padStart(4, "0")}`)(dt.local.getUTCFullYear())
+, MMM  : dt => month_names[dt.local.getUTCMonth()]
+, MM   : dt => pad2(dt.local.getUTCMonth() + 1)
+, DD   : dt => pad2(dt.local.getUTCDate())
+, ddd  : dt => weekday_names[dt.local.getUTCDay()]
+, HH   : dt => pad2(dt.local.getUTCHours())
+, mm   : dt => pad2(dt.local.getUTCMinutes())
+, ss   : dt => pad2(dt.local.getUTCSeconds())
+, SSS  : dt => String(dt.local.getUTCMilliseconds()).padStart(3, "0")
+, ZZ   : dt => format_offset(dt.offset, "")
+, Z    : dt => format_offset(dt.offset, ":")
+, z    : dt => dt.abbreviation
+}
+
+var datetime_token_pattern = /\[([^\]]*)\]|YYYY|MMM|MM|DD|ddd|HH|mm|ss|SSS|ZZ|Z|z/g
+
+// Format a date in the given time zone
+var format_datetime =
+  (date, time_zone = "UTC", format = "display") =>
+    isNaN(date.getTime())
+    ? "Invalid Date"
+    : (dt =>
+        (Object.prototype.hasOwnProperty.call(datetime_formats, format) ? datetime_formats[format] : format)
+          .replace(datetime_token_pattern, (token, literal) => isUndefined(literal) ? datetime_tokens[token](dt) : literal)
+      )
+      (zoned_datetime(date, time_zone))
+
+var isTimeZoneName =
+  zone => {
+    try {
+      return typeof zone === "string" && !!cached_formatter("en-US", zone, {})
+    }
+    catch (err) {
+      return false
+    }
+  }
+
+// Partial function that creates a function to format a date in a given time zone
+var datetime_in_zone = (time_zone, format) => date => format_datetime(date, time_zone, format)
+
+// The functions below are deprecated, but keep their original behaviour of returning a Date whose local date and time
+// (as displayed by toString() in this process) are the date and time in the given time zone.  Such a Date does not
+// represent the real point in time, so use datetime_in_zone or format_datetime instead
+var shifted_date =
+  (date, time_zone) =>
+    (local =>
+      (shifted => (shifted.setFullYear(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate()), shifted))
+      (new Date(2000, 0, 1, local.getUTCHours(), local.getUTCMinutes(), local.getUTCSeconds(), local.getUTCMilliseconds()))
+    )
+    (zoned_datetime(date, time_zone).local)
+
+// Partial function to create a date/time stamp for a given timezone offset in minutes
+// A fixed offset does not change when daylight saving time starts or ends, so use datetime_in_zone instead
+var datetime_by_timezone = offset => date => shifted_date(date, offset)
+
+// Date/Time functions for some selected time zones.  These follow daylight saving time where the zone has it
+var datetime_pst = date => shifted_date(date, "America/Los_Angeles")   // US Pacific Time
+var datetime_est = date => shifted_date(date, "America/New_York")      // US Eastern Time
+var datetime_gmt = date => shifted_date(date, "UTC")                   // Greenwich Mean Time
+var datetime_cet = date => shifted_date(date, "Europe/Berlin")         // Central European Time
+var datetime_ist = date => shifted_date(date, "Asia/Kolkata")          // India Standard Time
 
 // *********************************************************************************************************************
 // PUBLIC API
@@ -417,6 +2407,7 @@ module.exports = {
 , isArray       : isArray
 , isBigInt      : isBigInt
 , isExpandable  : isExpandable
+, register_type : register_type
 , isFunction    : isFunction
 , isMap         : isMap
 , isNull        : isNull
@@ -428,11 +2419,24 @@ module.exports = {
 , isSymbol      : isSymbol
 , isUndefined   : isUndefined
 
+// Renderer factory
+, createRenderer : createRenderer
+
 // HTML utilities
-, set_depth_limit : set_depth_limit
-, get_depth_limit : get_depth_limit
-, show_fns        : () => suppress_fns = false
-, hide_fns        : () => suppress_fns = true
+, escape_html     : escape_html
+, escape_attr     : escape_attr
+, raw_html        : raw_html
+, isRawHtml       : isRawHtml
+, as_text         : as_text
+, get_options     : default_renderer.get_options
+, set_depth_limit : default_renderer.set_depth_limit
+, get_depth_limit : default_renderer.get_depth_limit
+, show_fns        : default_renderer.show_fns
+, hide_fns        : default_renderer.hide_fns
+, h               : h
+, fragment        : fragment
+, doctype         : doctype
+, html_page       : html_page
 , as_html_el      : as_html_el
 , as_a            : as_a
 , as_body         : as_body
@@ -443,6 +2447,8 @@ module.exports = {
 , as_html         : as_html
 , as_head         : as_head
 , as_img          : as_img
+, as_input        : as_input
+, as_label        : as_label
 , as_li           : as_li
 , as_link         : as_link
 , as_meta         : as_meta
@@ -460,10 +2466,31 @@ module.exports = {
 , as_ul           : as_ul
 
 // Main entry point with synonym functions
-, show_objects   : create_content
-, show_object    : (title, val) => create_content([{ title: title, value: val }])
+, show_objects   : default_renderer.show_objects
+, show_object    : default_renderer.show_object
+, show_diff      : default_renderer.show_diff
+
+// Streaming and asynchronous entry points
+, show_objects_async : default_renderer.show_objects_async
+, show_object_async  : default_renderer.show_object_async
+, stream_objects     : default_renderer.stream_objects
+, stream_object      : default_renderer.stream_object
+
+// Redaction
+, secret_detectors   : secret_detectors
+, default_redactions : default_redactions
+
+// Other output formats
+, register_format : register_format
+, render_as       : default_renderer.render_as
+, show_text       : default_renderer.show_text
+, show_markdown   : default_renderer.show_markdown
+, show_json       : default_renderer.show_json
 
 // Date/Time functions
+, datetime_formats     : datetime_formats
+, format_datetime      : format_datetime
+, datetime_in_zone     : datetime_in_zone
 , datetime_by_timezone : datetime_by_timezone
 , datetime_pst         : datetime_pst
 , datetime_est         : datetime_est
@@ -472,6 +2499,10 @@ module.exports = {
 , datetime_ist         : datetime_ist
 
 // NodeJS convenience functions
-, show_nodejs_global  : () => create_content([{ title: "NodeJS global", value: global }])
-, show_nodejs_process : () => create_content([{ title: "NodeJS process", value: process }])
+, show_nodejs_global  : default_renderer.show_nodejs_global
+, show_nodejs_process : default_renderer.show_nodejs_process
+
+// HTTP debug endpoint
+, debug_handler     : default_renderer.debug_handler
+, koa_debug_handler : default_renderer.koa_debug_handler
 }
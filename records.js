@@ -0,0 +1,45 @@
+/* Sorting and column selection for arrays displayed as records tables (see "Records tables" in lib.js) */
+
+/* A cell containing a nested table is sorted by its type rather than by the contents of the nested table */
+var record_sort_text = cell =>
+  !cell ? "" : cell.dataset.bfuColumn !== undefined ? cell.firstElementChild.textContent : cell.textContent;
+
+var compare_record_text = (a, b) =>
+  a !== "" && b !== "" && !isNaN(a) && !isNaN(b)
+  ? Number(a) - Number(b)
+  : a.localeCompare(b, undefined, { numeric : true });
+
+/* Sort the rows by the clicked column.  Clicking the same column again reverses the order */
+var sort_records = th => {
+  var table = th.closest("table");
+  var headings = [...th.parentElement.children];
+  var column = headings.indexOf(th);
+  var direction = th.getAttribute("aria-sort") === "ascending" ? -1 : 1;
+  var rows = [...table.rows].filter(row => row.classList.contains("bfu-record"));
+  var moreRows = [...table.rows].filter(row => row.classList.contains("bfu-more"));
+
+  headings.forEach(heading => heading.removeAttribute("aria-sort"));
+  th.setAttribute("aria-sort", direction === 1 ? "ascending" : "descending");
+
+  rows
+    .sort((a, b) => direction * compare_record_text(record_sort_text(a.children[column]), record_sort_text(b.children[column])))
+    .forEach(row => row.parentElement.appendChild(row));
+
+  /* Rows that have not yet been generated (max_rows option) and the count of the rows that were not included
+     (max_rows_sent option) stay at the end of the table */
+  moreRows.forEach(row => row.parentElement.appendChild(row));
+};
+
+/* Show or hide the columns of a records table according to the column selector that precedes it */
+var apply_record_columns = table => {
+  var selector = table.previousElementSibling;
+  var hidden = selector && selector.classList.contains("bfu-columns")
+    ? [...selector.querySelectorAll("input")].filter(checkbox => !checkbox.checked).map(checkbox => Number(checkbox.dataset.column))
+    : [];
+
+  [...table.rows]
+    .filter(row => !row.classList.contains("bfu-more"))
+    .forEach(row => [...row.children].forEach((cell, idx) => cell.style.display = hidden.includes(idx) ? "none" : ""));
+};
+
+var toggle_record_column = checkbox => apply_record_columns(checkbox.closest(".bfu-columns").nextElementSibling);
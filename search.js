@@ -0,0 +1,98 @@
+/* Search the rows of the object tables in one output block by key path or value text.
+   Each output block starts with its own search bar, so several blocks on the same page are searched independently */
+var search_root = el => el.closest(".bfu-search").parentElement;
+
+/* The value text of rows containing nested tables is not searched because the nested rows are searched instead.
+   The rows of a records table have a value in every cell except the first */
+var value_text = row =>
+  (row.classList.contains("bfu-record") ? [...row.children].slice(1) : [row.children[2]])
+    .filter(cell => cell && !cell.querySelector("table"))
+    .map(cell => cell.textContent)
+    .join(" ");
+
+/* The cells of a records table have no key column of their own, so each cell's key path is the row's key path followed
+   by the cell's column heading */
+var key_paths = (row, root) => {
+  var path = key_path(row, root).join(".");
+
+  return row.classList.contains("bfu-record")
+    ? [path].concat([...row.closest("table").rows[0].cells].slice(1).map(th => `${path}.${th.textContent}`))
+    : [path];
+};
+
+var show_search_count = (root, text) => root.querySelector(".bfu-search-count").textContent = text;
+
+var search_rows = input => {
+  var root = search_root(input);
+  var query = input.value.trim().toLowerCase();
+
+  if (query.length > 0) {
+    build_all_content(root);
+  }
+
+  var rows = [...root.querySelectorAll("tr")].filter(is_data_row);
+  var matches = query.length > 0
+    ? rows.filter(row => key_paths(row, root).some(path => path.toLowerCase().includes(query)) || value_text(row).toLowerCase().includes(query))
+    : [];
+  var matchSet = new Set(matches);
+  var visible = new Set();
+
+  /* A row remains visible if it matches, if it is the ancestor of a match, or if it is the descendant of a match */
+  matches.forEach(row => {
+    for (var r = row; r; r = parent_row(r, root)) {
+      visible.add(r);
+    }
+  });
+
+  var has_matching_ancestor = row => {
+    for (var r = parent_row(row, root); r; r = parent_row(r, root)) {
+      if (matchSet.has(r)) return true;
+    }
+    return false;
+  };
+
+  rows.forEach(row => {
+    row.classList.remove("bfu-match", "bfu-current");
+    row.style.display = query.length === 0 || visible.has(row) || has_matching_ancestor(row) ? "" : "none";
+  });
+
+  matches.forEach(row => {
+    row.classList.add("bfu-match");
+    expand_ancestors(row, root);
+  });
+
+  root.bfuMatches = matches;
+  root.bfuCurrent = -1;
+
+  if (matches.length > 0) {
+    search_step(input, 1);
+  }
+  else {
+    show_search_count(root, query.length > 0 ? "No matches" : "");
+  }
+};
+
+/* Move to the next (step = 1) or previous (step = -1) match */
+var search_step = (el, step) => {
+  var root = search_root(el);
+  var matches = root.bfuMatches || [];
+
+  if (matches.length > 0) {
+    if (root.bfuCurrent >= 0) {
+      matches[root.bfuCurrent].classList.remove("bfu-current");
+    }
+
+    root.bfuCurrent = (root.bfuCurrent + step + matches.length) % matches.length;
+    matches[root.bfuCurrent].classList.add("bfu-current");
+    matches[root.bfuCurrent].scrollIntoView({ block : "center" });
+    show_search_count(root, `${root.bfuCurrent + 1} / ${matches.length}`);
+  }
+};
+
+/* Enter moves to the next match, Shift+Enter to the previous match */
+var search_keydown = (event, input) => {
+  if (event.key === "Enter") {
+    event.preventDefault();
+    search_step(input, event.shiftKey ? -1 : 1);
+  }
+};
@@ -0,0 +1,253 @@
+/* Toolbar, keyboard navigation and persisted expand/collapse state for each .bfu-content block */
+var toolbar_block = el => el.closest(".bfu-content");
+
+/* The depth of the table containing an element, where the outermost table has depth 0 */
+var table_depth = (el, block) => {
+  var depth = -1;
+
+  for (var node = el; node && node !== block; node = node.parentElement) {
+    if (node.id && node.id.endsWith("-content")) depth++;
+  }
+
+  return depth;
+};
+
+var is_displayed = (el, block) => {
+  for (var node = el; node && node !== block; node = node.parentElement) {
+    if (node.hidden || node.style.display === "none") return false;
+  }
+
+  return true;
+};
+
+var shown_arrows = (block, direction) =>
+  [...block.querySelectorAll(`.bfu-arrow-${direction}`)].filter(arrow => !arrow.hidden);
+
+/* Bulk updates save the expanded state once at the end rather than after every table */
+var bfu_bulk_update = false;
+
+var bulk_update = (block, fn) => {
+  bfu_bulk_update = true;
+  fn();
+  bfu_bulk_update = false;
+  save_block_state(block);
+};
+
+/* Expand every table whose parent table has a depth less than 'level'.  Expanding a lazy table generates new arrows,
+   so keep going until there is nothing left to expand */
+var expand_to_depth = (block, level) => bulk_update(block, () => {
+  var arrows;
+
+  while ((arrows = shown_arrows(block, "right").filter(arrow => table_depth(arrow, block) < level)).length > 0) {
+    arrows.forEach(arrow => expand(arrow_name(arrow)));
+  }
+});
+
+var expand_all = button => expand_to_depth(toolbar_block(button), Infinity);
+
+var collapse_all = button => {
+  var block = toolbar_block(button);
+  bulk_update(block, () => shown_arrows(block, "down").forEach(arrow => collapse(arrow_name(arrow))));
+};
+
+var expand_to_level = button => {
+  var block = toolbar_block(button);
+  var level = Number(block.querySelector(".bfu-level").value);
+
+  collapse_all(button);
+  expand_to_depth(block, level >= 1 ? level : 1);
+};
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+   Keyboard navigation
+   Up/Down move between the displayed rows, Home/End move to the first/last displayed row, Right expands the current
+   row (or moves into its nested table) and Left collapses the current row (or moves to its parent row) */
+var shown_rows = block => [...block.querySelectorAll("tr")].filter(row => is_data_row(row) && is_displayed(row, block));
+
+/* The arrows live in the Type column, or in any of the cells of a records table.  In the latter case, the first
+   displayed arrow is used */
+var row_arrow = (row, direction) =>
+  [...row.querySelectorAll(`:scope > td > .bfu-arrow-${direction}`)].find(arrow => !arrow.hidden) || null;
+
+/* Only one row in each block can be reached using the Tab key */
+var focus_row = (row, block) => {
+  block.querySelectorAll("tr[tabindex='0']").forEach(r => r.tabIndex = -1);
+  row.tabIndex = 0;
+  row.focus();
+};
+
+var row_keydown = event => {
+  var row = event.target.tagName === "TR" ? event.target : null;
+  var block = row && toolbar_block(row);
+
+  if (!block || !block.querySelector(":scope > .bfu-toolbar")) return;
+
+  var rows = shown_rows(block);
+  var idx = rows.indexOf(row);
+  var target = null;
+
+  switch (event.key) {
+    case "ArrowDown": target = rows[idx + 1]; break;
+    case "ArrowUp":   target = rows[idx - 1]; break;
+    case "Home":      target = rows[0]; break;
+    case "End":       target = rows[rows.length - 1]; break;
+    case "ArrowRight":
+      if (row_arrow(row, "right")) {
+        expand(arrow_name(row_arrow(row, "right")));
+      }
+      else if (row_arrow(row, "down")) {
+        target = rows[idx + 1];
+      }
+      break;
+    case "ArrowLeft":
+      if (row_arrow(row, "down")) {
+        collapse(arrow_name(row_arrow(row, "down")));
+      }
+      else {
+        target = parent_row(row, block);
+      }
+      break;
+    default: return;
+  }
+
+  event.preventDefault();
+
+  if (target) {
+    focus_row(target, block);
+  }
+};
+
+/* Clicking a row makes it the current row for keyboard navigation */
+var row_click = event => {
+  var row = event.target.closest && event.target.closest("tr");
+  var block = row && toolbar_block(row);
+
+  if (block && is_data_row(row) && block.querySelector(":scope > .bfu-toolbar") && !event.target.closest("a, button, input")) {
+    focus_row(row, block);
+  }
+};
+
+/* - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+   Persisted state
+   The key paths of the expanded tables in each block are stored either in the URL hash (so that a shared link opens the
+   same view) or in localStorage.  Blocks are identified by their title */
+var block_title = block => block.querySelector(".bfu-header2").textContent;
+
+var read_state = mode => {
+  try {
+    return JSON.parse(
+      mode === "local"
+      ? localStorage.getItem("bfu-expanded")
+      : decodeURIComponent((location.hash.match(/bfu=([^&]*)/) || ["", ""])[1])
+    ) || {};
+  }
+  catch (e) {
+    return {};
+  }
+};
+
+var write_state = (mode, state) => {
+  if (mode === "local") {
+    localStorage.setItem("bfu-expanded", JSON.stringify(state));
+  }
+  else {
+    /* Replace the hash without adding a history entry or scrolling */
+    history.replaceState(null, "", `#bfu=${encodeURIComponent(JSON.stringify(state))}`);
+  }
+};
+
+var save_block_state = block => {
+  var mode = block.dataset.bfuPersist;
+
+  if (mode) {
+    var state = read_state(mode);
+
+    state[block_title(block)] = shown_arrows(block, "down").map(arrow_path(block));
+    write_state(mode, state);
+  }
+};
+
+/* The key path of the table controlled by an arrow.  An arrow in a records table cell also needs the cell's column */
+var arrow_path = block => arrow => {
+  var cell = arrow.closest("td");
+  var path = key_path(arrow.closest("tr"), block);
+
+  return cell.dataset.bfuColumn !== undefined ? path.concat([cell.dataset.bfuColumn]) : path;
+};
+
+/* Called by expand() and collapse().  Saving is deferred so that it happens after the browser has followed any link
+   that was clicked (which would otherwise overwrite the URL hash) */
+var save_expanded_state = elName => {
+  var block = toolbar_block(document.getElementById(`${elName}-content`));
+
+  if (block && !bfu_bulk_update) {
+    setTimeout(() => save_block_state(block), 0);
+  }
+};
+
+/* Find and expand each table along a key path.  After a row of a records table, the next key might name a column */
+var restore_path = (block, path) => {
+  var table = block.querySelector("table");
+  var row = null;
+
+  path.forEach(key => {
+    var cell = row && [...row.children].find(td => td.dataset.bfuColumn === key);
+
+    if (cell) {
+      var arrow = cell.querySelector(":scope > .bfu-arrow-right");
+
+      if (arrow && !arrow.hidden) {
+        expand(arrow_name(arrow));
+      }
+
+      table = cell.querySelector(":scope > div[id$='-content'] > table");
+      row = null;
+      return;
+    }
+
+    var find_row = () => table && [...table.rows].find(r => is_data_row(r) && r.firstElementChild.textContent === key);
+    row = find_row();
+    var moreButton = table && !row && table.querySelector(":scope > tbody > tr.bfu-more button:last-child");
+
+    /* The row might not have been generated yet if the table has more rows than the max_rows option allows */
+    if (moreButton) {
+      show_more_rows(moreButton, true);
+      row = find_row();
+    }
+
+    /* The row of a records table has no table of its own, so the next key names the cell to be expanded */
+    if (row && !row.classList.contains("bfu-record") && row_arrow(row, "right")) {
+      expand(arrow_name(row_arrow(row, "right")));
+    }
+
+    table = row ? row.querySelector(":scope > td > div[id$='-content'] > table") : null;
+  });
+};
+
+var restore_block_state = block => {
+  var paths = read_state(block.dataset.bfuPersist)[block_title(block)] || [];
+
+  bfu_bulk_update = true;
+  paths.sort((a, b) => a.length - b.length).forEach(path => restore_path(block, path));
+  bfu_bulk_update = false;
+};
+
+/* This script is included once per output block, so only set up the page the first time it runs */
+if (!window.bfu_toolbar_ready) {
+  window.bfu_toolbar_ready = true;
+  document.addEventListener("keydown", row_keydown);
+  document.addEventListener("click", row_click);
+}
+
+document.querySelectorAll(".bfu-content").forEach(block => {
+  var firstRow = block.querySelector(":scope > .bfu-toolbar") && shown_rows(block)[0];
+
+  if (firstRow && !block.querySelector("tr[tabindex='0']")) {
+    firstRow.tabIndex = 0;
+  }
+
+  if (block.dataset.bfuPersist && !block.bfuRestored) {
+    block.bfuRestored = true;
+    restore_block_state(block);
+  }
+});